@@ -0,0 +1,237 @@
+/**
+ * Threshold rules evaluated against a parsed stats document
+ *
+ * A rule looks like:
+ *   { "name": "low-memory", "condition": "memory.freePercent < 15", "severity": "critical" }
+ *
+ * Conditions compare a metric path with a value. A `*` segment matches every
+ * element of an array, e.g. "semaphores.*.queued > 5" triggers when any set
+ * has more than five queued requests.
+ */
+
+const { uptimeWentBackwards } = require('./change-detector');
+
+const SEVERITIES = ['info', 'warning', 'critical'];
+
+const OPERATORS = {
+  '<': (a, b) => a < b,
+  '<=': (a, b) => a <= b,
+  '>': (a, b) => a > b,
+  '>=': (a, b) => a >= b,
+  '==': (a, b) => a === b,
+  '!=': (a, b) => a !== b
+};
+
+// Rules applied when the configuration does not define any
+const DEFAULT_RULES = [
+  { name: 'uptime-reset', condition: 'uptime.reset == true', severity: 'info' }
+];
+
+// `ms` and `s` are only accepted for millisecond metrics (loadMs, durationMs, ...), where `s` is converted
+function parseValue(raw, metric) {
+  const text = raw.trim();
+  if (text === 'true' || text === 'false') {
+    return text === 'true';
+  }
+  if (text === 'null') {
+    return null;
+  }
+  const quoted = text.match(/^(['"])(.*)\1$/);
+  if (quoted) {
+    return quoted[2];
+  }
+  const number = text.match(/^(-?\d+(?:\.\d+)?)\s*(%|ms|s)?$/i);
+  if (number) {
+    const value = parseFloat(number[1]);
+    const unit = number[2] ? number[2].toLowerCase() : null;
+    if (unit === 'ms' || unit === 's') {
+      if (!/Ms$/.test(metric)) {
+        throw new Error(`Unit "${number[2]}" only applies to millisecond metrics (ending in Ms), not ${metric}`);
+      }
+      return unit === 's' ? value * 1000 : value;
+    }
+    return value;
+  }
+  return text;
+}
+
+/**
+ * Parse "metric op value" into its parts
+ */
+function parseCondition(condition) {
+  const match = String(condition || '').match(/^\s*([\w.*]+)\s*(<=|>=|==|!=|<|>)\s*(.+?)\s*$/);
+  if (!match) {
+    throw new Error(`Invalid condition "${condition}" (expected "<metric> <operator> <value>")`);
+  }
+  return {
+    metric: match[1],
+    operator: match[2],
+    value: parseValue(match[3], match[1])
+  };
+}
+
+/**
+ * Resolve a dotted path, expanding `*` over arrays and object values
+ * Returns a list of { path, value } matches.
+ */
+function resolveMetric(context, metric) {
+  let matches = [{ path: [], value: context }];
+  for (const segment of metric.split('.')) {
+    const next = [];
+    for (const match of matches) {
+      const current = match.value;
+      if (current === null || current === undefined) {
+        continue;
+      }
+      if (segment === '*') {
+        if (Array.isArray(current)) {
+          current.forEach((item, index) => {
+            const label = item && item.name ? item.name : String(index);
+            next.push({ path: [...match.path, label], value: item });
+          });
+        } else if (typeof current === 'object') {
+          Object.entries(current).forEach(([key, value]) => {
+            next.push({ path: [...match.path, key], value });
+          });
+        }
+        continue;
+      }
+      if (Object.prototype.hasOwnProperty.call(current, segment)) {
+        next.push({ path: [...match.path, segment], value: current[segment] });
+      }
+    }
+    matches = next;
+  }
+  return matches
+    .filter(match => match.value !== undefined)
+    .map(match => ({ path: match.path.join('.'), value: match.value }));
+}
+
+/**
+ * Merge global rules with per-instance rules
+ * An instance rule with the same name replaces the global one, and
+ * `"enabled": false` switches a global rule off for that instance.
+ */
+function resolveRules(globalRules, instanceRules) {
+  const merged = new Map();
+  const base = Array.isArray(globalRules) ? globalRules : DEFAULT_RULES;
+  [...base, ...(Array.isArray(instanceRules) ? instanceRules : [])].forEach((rule, index) => {
+    const name = rule.name || `rule-${index + 1}`;
+    merged.set(name, { ...merged.get(name), ...rule, name });
+  });
+  return [...merged.values()].filter(rule => rule.enabled !== false);
+}
+
+/**
+ * Validate rule definitions, returning a list of problems
+ */
+function validateRules(rules, label = 'rules') {
+  const problems = [];
+  (rules || []).forEach((rule, index) => {
+    const where = `${label}[${index}]${rule && rule.name ? ` (${rule.name})` : ''}`;
+    if (!rule || typeof rule !== 'object') {
+      problems.push(`${where} must be an object`);
+      return;
+    }
+    if (rule.enabled === false && !rule.condition) {
+      return;
+    }
+    try {
+      parseCondition(rule.condition);
+    } catch (error) {
+      problems.push(`${where}: ${error.message}`);
+    }
+    if (rule.severity && !SEVERITIES.includes(rule.severity)) {
+      problems.push(`${where}: severity must be one of ${SEVERITIES.join(', ')}`);
+    }
+  });
+  return problems;
+}
+
+/**
+ * Build the values rules can refer to
+ * Everything in the parsed stats document is available, plus:
+ *   page.loadMs    - Time taken to load stats.do
+ *   durationMs     - Total time spent on the instance
+ *   uptime.reset   - True when uptime is lower than in the previous run
+ *   timings.<step> - Page timings per step, e.g. timings.loginPage.ttfbMs
+ *   probes.<name>  - Probe results, e.g. probes.homePage.passed or probes.homePage.values.rows
+ */
+function buildRuleContext(stats, { previousMetrics = null, pageLoadMs = null, durationMs = null, timings = {}, probes = {} } = {}) {
+  const context = { ...(stats || {}) };
+  context.page = { loadMs: pageLoadMs };
+  context.durationMs = durationMs;
+  context.timings = timings || {};
+  context.probes = probes || {};
+
+  const comparable = previousMetrics && previousMetrics.uptime && stats && stats.uptime;
+  context.uptime = {
+    ...(stats && stats.uptime ? stats.uptime : {}),
+    reset: comparable ? uptimeWentBackwards(previousMetrics, stats) : null
+  };
+
+  return context;
+}
+
+/**
+ * Evaluate rules against a context built with buildRuleContext()
+ */
+function evaluateRules(rules, context) {
+  return rules.map(rule => {
+    const outcome = {
+      rule: rule.name,
+      condition: rule.condition,
+      severity: rule.severity || 'warning',
+      status: 'ok',
+      matches: []
+    };
+
+    let parsed;
+    try {
+      parsed = parseCondition(rule.condition);
+    } catch (error) {
+      outcome.status = 'error';
+      outcome.message = error.message;
+      return outcome;
+    }
+
+    const compare = OPERATORS[parsed.operator];
+    const values = resolveMetric(context, parsed.metric)
+      .filter(match => match.value !== null && typeof match.value !== 'object');
+
+    if (values.length === 0) {
+      outcome.status = 'no-data';
+      outcome.message = `No value for ${parsed.metric}`;
+      return outcome;
+    }
+
+    outcome.matches = values.filter(match => compare(match.value, parsed.value));
+    if (outcome.matches.length > 0) {
+      outcome.status = 'triggered';
+      outcome.message = rule.message || outcome.matches
+        .map(match => `${match.path} = ${match.value} (${parsed.operator} ${parsed.value})`)
+        .join(', ');
+    }
+    return outcome;
+  });
+}
+
+/**
+ * True if a severity is at or above the given threshold
+ */
+function meetsSeverity(severity, threshold) {
+  const rank = SEVERITIES.indexOf(threshold);
+  return rank !== -1 && SEVERITIES.indexOf(severity) >= rank;
+}
+
+module.exports = {
+  SEVERITIES,
+  DEFAULT_RULES,
+  parseCondition,
+  resolveMetric,
+  resolveRules,
+  validateRules,
+  buildRuleContext,
+  evaluateRules,
+  meetsSeverity
+};
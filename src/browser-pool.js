@@ -0,0 +1,59 @@
+const puppeteer = require('puppeteer');
+
+/**
+ * Small pool of shared browsers
+ * Browsers are launched on first use and handed out round-robin. Callers
+ * should open their own incognito context on the browser they get, so
+ * cookies and storage stay isolated between instances.
+ */
+class BrowserPool {
+  constructor(options = {}) {
+    this.size = Math.max(1, options.size || 1);
+    this.launchOptions = options.launchOptions || {};
+    this.launches = [];
+    this.next = 0;
+  }
+
+  async acquire() {
+    const index = this.next;
+    this.next = (this.next + 1) % this.size;
+
+    // Keep the launch promise so concurrent callers share one browser
+    if (!this.launches[index]) {
+      console.log(`Launching shared browser ${index + 1}/${this.size}...`);
+      this.launches[index] = puppeteer.launch(this.launchOptions);
+    }
+
+    try {
+      const browser = await this.launches[index];
+      if (browser.connected) {
+        return browser;
+      }
+    } catch (error) {
+      this.launches[index] = null;
+      throw error;
+    }
+
+    // The browser crashed or was closed, start a new one in its place
+    console.log(`Relaunching shared browser ${index + 1}/${this.size}...`);
+    this.launches[index] = puppeteer.launch(this.launchOptions);
+    return this.launches[index];
+  }
+
+  async close() {
+    const launches = this.launches;
+    this.launches = [];
+    await Promise.all(launches.filter(Boolean).map(async launch => {
+      try {
+        const browser = await launch;
+        await browser.close();
+      } catch (error) {
+        // Already gone, nothing to close
+      }
+    }));
+  }
+}
+
+module.exports = {
+  BrowserPool
+};
@@ -0,0 +1,105 @@
+/**
+ * Detect upgrades and restarts by comparing two stats snapshots
+ * Both arguments are history metrics as produced by toHistoryMetrics().
+ */
+
+function get(object, path) {
+  return path.split('.').reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), object);
+}
+
+function hasValue(value) {
+  return value !== null && value !== undefined && value !== '';
+}
+
+/**
+ * True when uptime is lower than before, which means the node restarted
+ */
+function uptimeWentBackwards(previous, current) {
+  const before = get(previous, 'uptime.seconds');
+  const after = get(current, 'uptime.seconds');
+  return typeof before === 'number' && typeof after === 'number' && after < before;
+}
+
+const CHECKS = [
+  {
+    type: 'build-family-changed',
+    path: 'build.name',
+    describe: (before, after) => `Build family changed from ${before} to ${after}`
+  },
+  {
+    type: 'build-tag-changed',
+    path: 'build.tag',
+    describe: (before, after) => `Build tag changed from ${before} to ${after}`
+  },
+  {
+    type: 'node-changed',
+    path: 'node.id',
+    describe: (before, after) => `Node id changed from ${before} to ${after}`
+  },
+  {
+    type: 'cluster-size-changed',
+    path: 'cluster.nodeCount',
+    describe: (before, after) => `Cluster node count changed from ${before} to ${after}`
+  }
+];
+
+/**
+ * Compare two snapshots and return a list of change events
+ * Returns an empty list when there is no previous snapshot to compare with.
+ */
+function detectChanges(previous, current) {
+  if (!previous || !current) {
+    return [];
+  }
+
+  const events = [];
+
+  for (const check of CHECKS) {
+    const before = get(previous, check.path);
+    const after = get(current, check.path);
+    if (hasValue(before) && hasValue(after) && before !== after) {
+      events.push({
+        type: check.type,
+        field: check.path,
+        before,
+        after,
+        message: check.describe(before, after)
+      });
+    }
+  }
+
+  if (uptimeWentBackwards(previous, current)) {
+    events.push({
+      type: 'restart',
+      field: 'uptime.seconds',
+      before: get(previous, 'uptime.seconds'),
+      after: get(current, 'uptime.seconds'),
+      message: `Uptime went backwards from ${get(previous, 'uptime.text')} to ${get(current, 'uptime.text')}`
+    });
+  }
+
+  return events;
+}
+
+/**
+ * Turn detected changes into the change events of the run summary
+ * Before and after values come from the page (node ids, build tags), so they
+ * pass through the instance's redactor like the saved files.
+ */
+function toChangeEvents(changes, { instance, previousTimestamp = null, redact = value => value }) {
+  return changes.map(change => ({
+    instance,
+    type: change.type,
+    field: change.field,
+    before: redact(change.before),
+    after: redact(change.after),
+    previousTimestamp,
+    message: redact(change.message)
+  }));
+}
+
+module.exports = {
+  detectChanges,
+  toChangeEvents,
+  uptimeWentBackwards
+};
@@ -0,0 +1,98 @@
+const fs = require('fs').promises;
+const { parseStatsHtml } = require('./stats-parser');
+const { toHistoryMetrics } = require('./history-store');
+const { resolveRules, validateRules, buildRuleContext, evaluateRules, meetsSeverity } = require('./alert-rules');
+const { readConfig, readConfigFile } = require('./config-loader');
+
+/**
+ * Evaluate alert rules against a saved stats.do HTML file
+ *
+ * Usage:
+ *   node src/check-rules.js <stats.html> [--config instances.json] [--instance name]
+ *                           [--previous previous-stats.html] [--page-load-ms 1234]
+ *
+ * Rules are read from --config (JSON or YAML), or from SERVICENOW_INSTANCES_JSON and
+ * SERVICENOW_CONFIG_FILE when no file is given.
+ */
+function parseArgs(argv) {
+  const args = { file: null, config: null, instance: null, previous: null, pageLoadMs: null };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--config') {
+      args.config = argv[++i];
+    } else if (arg === '--instance') {
+      args.instance = argv[++i];
+    } else if (arg === '--previous') {
+      args.previous = argv[++i];
+    } else if (arg === '--page-load-ms') {
+      args.pageLoadMs = parseInt(argv[++i], 10);
+    } else if (!args.file) {
+      args.file = arg;
+    } else {
+      throw new Error(`Unexpected argument: ${arg}`);
+    }
+  }
+  if (!args.file) {
+    throw new Error('Usage: node src/check-rules.js <stats.html> [--config file] [--instance name] [--previous file] [--page-load-ms ms]');
+  }
+  return args;
+}
+
+async function main() {
+  let args;
+  try {
+    args = parseArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(error.message);
+    process.exit(1);
+  }
+
+  let config;
+  try {
+    config = args.config ? await readConfigFile(args.config) : (await readConfig('stats', { argv: [] })).config;
+  } catch (error) {
+    console.error(error.message);
+    process.exit(1);
+  }
+
+  const instance = (config.instances || []).find(entry => entry.name === args.instance) || {};
+  if (args.instance && !instance.name) {
+    console.error(`Instance "${args.instance}" not found in configuration`);
+    process.exit(1);
+  }
+
+  const problems = [...validateRules(config.rules, 'rules'), ...validateRules(instance.rules, 'instance.rules')];
+  if (problems.length > 0) {
+    console.error(`Invalid alert rules:\n  ${problems.join('\n  ')}`);
+    process.exit(1);
+  }
+
+  const parsed = parseStatsHtml(await fs.readFile(args.file, 'utf8'));
+  parsed.errors.forEach(error => console.log(`Parser error in ${error.section}: ${error.message}`));
+
+  let previousMetrics = null;
+  if (args.previous) {
+    previousMetrics = toHistoryMetrics(parseStatsHtml(await fs.readFile(args.previous, 'utf8')).document);
+  }
+
+  const outcomes = evaluateRules(
+    resolveRules(config.rules, instance.rules),
+    buildRuleContext(parsed.document, { previousMetrics, pageLoadMs: args.pageLoadMs })
+  );
+
+  outcomes.forEach(outcome => {
+    const detail = outcome.message ? ` - ${outcome.message}` : '';
+    console.log(`${outcome.status.toUpperCase().padEnd(9)} [${outcome.severity}] ${outcome.rule}: ${outcome.condition}${detail}`);
+  });
+
+  const failOnSeverity = (config.alerting && config.alerting.failOnSeverity) || 'critical';
+  const failing = outcomes.some(outcome => outcome.status === 'triggered' && meetsSeverity(outcome.severity, failOnSeverity));
+  if (failing) {
+    process.exit(3);
+  }
+}
+
+main().catch(error => {
+  console.error('Fatal error:', error);
+  process.exit(1);
+});
@@ -0,0 +1,254 @@
+#!/usr/bin/env node
+const { ConfigError, readConfig, resolveConfig, selectEntries } = require('./config-loader');
+const { generateTOTP } = require('./totp-handler');
+
+/**
+ * sn-pdi: one entry point for the monitor, the keepalive and their tools
+ *
+ * Usage:
+ *   sn-pdi <stats|keepalive|totp|validate|report> [options]
+ *
+ * `stats` and `keepalive` exit with the same codes as scrape-stats.js and
+ * developer-login.js; the other commands exit with 1 when they fail.
+ */
+
+const USAGE = `Usage: sn-pdi <command> [options]
+
+Commands:
+  stats                        Collect stats from the configured instances
+  keepalive                    Log in to the configured developer accounts
+  totp [name]                  Print the current MFA codes of instances and accounts
+  validate [stats|keepalive]   Check the configuration and list every problem
+  report [dashboard|availability|run] [report options]
+                               Build the HTML dashboard, the availability report
+                               or the Markdown report of a run's summary
+
+Options:
+  --config <file>              JSON, YAML or encrypted config file
+  --only <names>               Only these instances or accounts (comma-separated)
+  --exclude <names>            Skip these instances or accounts
+  --tag <tags>                 Only instances or accounts with one of these tags
+  --output-dir <dir>           Where pages, screenshots and summaries are written
+  --junit <file>               Also write a JUnit XML report (stats, keepalive)
+  --dry-run                    Check the configuration and print the plan, without logging in
+  --headful                    Show the browser window
+  --verbose                    Log every step and the settings of each instance
+  --help                       Show this help
+
+Exit codes (stats, keepalive):
+  0 all succeeded, 1 all failed or bad configuration, 2 more than half failed,
+  3 an alert rule at or above alerting.failOnSeverity triggered (stats only)`;
+
+const KINDS = { stats: 'stats', keepalive: 'developer' };
+const REPORTS = {
+  dashboard: './report-dashboard',
+  availability: './report-availability',
+  run: './report-run'
+};
+const TOTP_PERIOD_SECONDS = 30;
+
+class UsageError extends Error {}
+
+function splitList(value) {
+  return String(value).split(',').map(item => item.trim()).filter(Boolean);
+}
+
+function parseArgs(argv) {
+  const args = {
+    command: null,
+    positional: [],
+    configFile: null,
+    select: { only: [], exclude: [], tags: [] },
+    outputDir: null,
+    junitFile: null,
+    dryRun: false,
+    headful: false,
+    verbose: false,
+    help: false
+  };
+  const valueOf = (arg, index) => {
+    const value = argv[index];
+    if (value === undefined || value.startsWith('--')) {
+      throw new UsageError(`${arg} needs a value`);
+    }
+    return value;
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--config') {
+      args.configFile = valueOf(arg, ++i);
+    } else if (arg === '--only') {
+      args.select.only.push(...splitList(valueOf(arg, ++i)));
+    } else if (arg === '--exclude') {
+      args.select.exclude.push(...splitList(valueOf(arg, ++i)));
+    } else if (arg === '--tag') {
+      args.select.tags.push(...splitList(valueOf(arg, ++i)));
+    } else if (arg === '--output-dir') {
+      args.outputDir = valueOf(arg, ++i);
+    } else if (arg === '--junit') {
+      args.junitFile = valueOf(arg, ++i);
+    } else if (arg === '--dry-run') {
+      args.dryRun = true;
+    } else if (arg === '--headful') {
+      args.headful = true;
+    } else if (arg === '--verbose') {
+      args.verbose = true;
+    } else if (arg === '--help' || arg === '-h') {
+      args.help = true;
+    } else if (arg.startsWith('-')) {
+      throw new UsageError(`Unknown option: ${arg}`);
+    } else if (!args.command) {
+      args.command = arg;
+    } else {
+      args.positional.push(arg);
+    }
+  }
+  return args;
+}
+
+function runOptions(args) {
+  return {
+    configFile: args.configFile,
+    select: args.select,
+    outputDir: args.outputDir,
+    junitFile: args.junitFile,
+    dryRun: args.dryRun,
+    headful: args.headful,
+    verbose: args.verbose
+  };
+}
+
+async function validate(args) {
+  if (args.positional.some(kind => !KINDS[kind])) {
+    throw new UsageError('validate takes "stats", "keepalive" or nothing to check both');
+  }
+  const commands = args.positional.length > 0 ? args.positional : Object.keys(KINDS);
+  if (args.configFile && commands.length !== 1) {
+    throw new UsageError('--config needs to know what it configures, e.g. sn-pdi validate stats --config <file>');
+  }
+
+  let configured = 0;
+  let invalid = 0;
+  for (const command of commands) {
+    const kind = KINDS[command];
+    try {
+      const { config, sources } = await readConfig(kind, { file: args.configFile });
+      if (sources.length === 0) {
+        console.log(`${command}: not configured`);
+        continue;
+      }
+      configured++;
+      const resolved = resolveConfig(kind, config, { select: args.select });
+      const entries = resolved[kind === 'stats' ? 'instances' : 'accounts'];
+      console.log(`${command}: valid, ${entries.length} ${kind === 'stats' ? 'instance' : 'account'}(s) from ${sources.join(' + ')}`);
+      entries.forEach(entry => console.log(`  ${entry.name}${entry.tags && entry.tags.length > 0 ? ` [${entry.tags.join(', ')}]` : ''}`));
+    } catch (error) {
+      if (!(error instanceof ConfigError)) {
+        throw error;
+      }
+      invalid++;
+      console.error(`${command}: ${error.message}`);
+    }
+  }
+
+  if (configured === 0 && invalid === 0) {
+    console.error('No configuration found. Set SERVICENOW_INSTANCES_JSON, DEVELOPER_ACCOUNTS_JSON or a *_CONFIG_FILE, or pass --config <file>');
+    return 1;
+  }
+  return invalid > 0 ? 1 : 0;
+}
+
+async function totp(args) {
+  const [name] = args.positional;
+  const entries = [];
+  for (const kind of Object.values(KINDS)) {
+    const listKey = kind === 'stats' ? 'instances' : 'accounts';
+    // Not validated, so a code can still be read while another setting is being fixed
+    const { config } = await readConfig(kind, { file: args.configFile });
+    (Array.isArray(config[listKey]) ? config[listKey] : []).forEach((entry, index) => {
+      entries.push({ ...entry, name: entry.name || `${kind === 'stats' ? 'instance' : 'account'}-${index + 1}` });
+    });
+  }
+
+  const selected = selectEntries(entries, { ...args.select, only: name ? [name] : args.select.only }, 'instance or account')
+    .filter(entry => entry.totpSecret);
+  if (selected.length === 0) {
+    console.error(name ? `${name} has no totpSecret` : 'No instance or account has a totpSecret');
+    return 1;
+  }
+
+  const remaining = TOTP_PERIOD_SECONDS - Math.floor(Date.now() / 1000) % TOTP_PERIOD_SECONDS;
+  let failed = 0;
+  selected.forEach(entry => {
+    try {
+      console.log(`${entry.name}: ${generateTOTP(entry.totpSecret)}`);
+    } catch (error) {
+      failed++;
+      console.error(`${entry.name}: ${error.message}`);
+    }
+  });
+  console.log(`Valid for another ${remaining}s`);
+  return failed > 0 ? 1 : 0;
+}
+
+async function report(argv) {
+  const [name, ...rest] = REPORTS[argv[0]] ? argv : ['dashboard', ...argv];
+  await require(REPORTS[name]).main(rest);
+  return 0;
+}
+
+async function run(argv) {
+  // Report options are the report scripts' own, so they are passed through untouched
+  if (argv[0] === 'report' && !argv.includes('--help')) {
+    return report(argv.slice(1));
+  }
+
+  const args = parseArgs(argv);
+  if (args.help || !args.command) {
+    console.log(USAGE);
+    return args.help ? 0 : 1;
+  }
+
+  if (args.command === 'stats' || args.command === 'keepalive') {
+    if (args.positional.length > 0) {
+      throw new UsageError(`Unexpected argument: ${args.positional[0]}`);
+    }
+    // Loaded on demand, they pull in the browser
+    return args.command === 'stats'
+      ? require('./scrape-stats').runStats(runOptions(args))
+      : require('./developer-login').runKeepalive(runOptions(args));
+  }
+  if (args.command === 'validate') {
+    return validate(args);
+  }
+  if (args.command === 'totp') {
+    return totp(args);
+  }
+  if (args.command === 'report') {
+    console.log(USAGE);
+    return 0;
+  }
+  throw new UsageError(`Unknown command: ${args.command}`);
+}
+
+if (require.main === module) {
+  run(process.argv.slice(2)).then(code => {
+    if (code !== 0) {
+      process.exit(code);
+    }
+  }).catch(error => {
+    if (error instanceof UsageError || error instanceof ConfigError) {
+      console.error(error.message);
+      console.error('Run "sn-pdi --help" for usage.');
+    } else {
+      console.error('Fatal error:', error);
+    }
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  run,
+  parseArgs
+};
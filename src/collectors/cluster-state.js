@@ -0,0 +1,51 @@
+const { decodeEntities } = require('../stats-parser');
+
+/**
+ * sys_cluster_state_list.do - cluster nodes and their status
+ * In the browser the rendered list is read directly; over REST the rows are
+ * recognised from the list markup.
+ */
+module.exports = {
+  name: 'cluster-state',
+  path: '/sys_cluster_state_list.do',
+  fileExtension: 'html',
+  source: 'dom',
+  waitFor: { selector: 'table.list2_body, .list2_no_records, .list2_empty-state-list' },
+  screenshot: true,
+
+  evaluate() {
+    const table = document.querySelector('table.list2_body');
+    if (!table) {
+      return { headers: [], rows: [] };
+    }
+    const headers = Array.from(document.querySelectorAll('th.list_header_cell, th[name]'))
+      .map(th => th.getAttribute('name') || th.innerText.trim());
+    const rows = Array.from(table.querySelectorAll('tr.list_row')).map(row => {
+      const cells = Array.from(row.querySelectorAll('td.vt')).map(cell => cell.innerText.trim());
+      const entry = {};
+      cells.forEach((cell, index) => {
+        entry[headers[index] || `column ${index + 1}`] = cell;
+      });
+      return entry;
+    });
+    return { headers, rows };
+  },
+
+  extract({ content, evaluated }) {
+    let nodes = evaluated ? evaluated.rows : null;
+    if (!nodes) {
+      const rows = String(content || '').match(/<tr[^>]*class="[^"]*list_row[^"]*"[\s\S]*?<\/tr>/g) || [];
+      nodes = rows.map(row => {
+        const cells = (row.match(/<td[^>]*class="[^"]*\bvt\b[^"]*"[^>]*>[\s\S]*?<\/td>/g) || [])
+          .map(cell => decodeEntities(cell.replace(/<[^>]*>/g, '')).replace(/\s+/g, ' ').trim());
+        const entry = {};
+        cells.forEach((cell, index) => {
+          entry[`column ${index + 1}`] = cell;
+        });
+        return entry;
+      });
+    }
+    const online = nodes.filter(node => Object.values(node).some(value => /^online$/i.test(value))).length;
+    return { data: { nodeCount: nodes.length, online, nodes }, errors: [] };
+  }
+};
@@ -0,0 +1,28 @@
+const { extractSections, numericValues } = require('../stats-parser');
+
+/**
+ * System diagnostics page - kept as generic key/value sections
+ * Override `path` in the collector config if the page lives elsewhere on an instance.
+ */
+module.exports = {
+  name: 'diagnostics',
+  path: '/diagnostics.do',
+  fileExtension: 'html',
+  source: 'dom',
+  waitFor: { selector: 'body' },
+  screenshot: true,
+
+  extract({ content }) {
+    const sections = extractSections(content || '')
+      .filter(section => Object.keys(section.values).length > 0 || section.tables.length > 0)
+      .map(section => ({
+        title: section.path.join(' / '),
+        values: numericValues(section),
+        tables: section.tables
+      }));
+    if (sections.length === 0) {
+      return { data: { sections }, errors: [{ section: 'diagnostics', message: 'No diagnostic values found' }] };
+    }
+    return { data: { sections }, errors: [] };
+  }
+};
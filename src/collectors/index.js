@@ -0,0 +1,82 @@
+/**
+ * Registry of page collectors
+ *
+ * A collector declares:
+ *   name          - Identifier used in config and output file names
+ *   path          - Path on the instance to load
+ *   fileExtension - Extension of the saved raw content
+ *   source        - 'dom' saves the rendered page, 'response' the raw response body
+ *   waitFor       - { selector, timeout } to wait for in the browser, or null
+ *   screenshot    - Whether to take a full-page screenshot
+ *   evaluate()    - Optional function run in the browser page, result passed to extract()
+ *   extract({ content, evaluated }) - Returns { data, errors }
+ */
+
+const stats = require('./stats');
+const xmlstats = require('./xmlstats');
+const threads = require('./threads');
+const clusterState = require('./cluster-state');
+const diagnostics = require('./diagnostics');
+
+const COLLECTORS = {
+  [stats.name]: stats,
+  [xmlstats.name]: xmlstats,
+  [threads.name]: threads,
+  [clusterState.name]: clusterState,
+  [diagnostics.name]: diagnostics
+};
+
+const DEFAULT_COLLECTORS = ['stats'];
+
+function getCollector(name) {
+  return COLLECTORS[name] || null;
+}
+
+/**
+ * Turn config entries (names, or objects with a name and overrides) into collectors
+ * Instance entries take precedence over the global list.
+ */
+function resolveCollectors(globalEntries, instanceEntries) {
+  const entries = instanceEntries || globalEntries || DEFAULT_COLLECTORS;
+  return entries.map(entry => {
+    const options = typeof entry === 'string' ? { name: entry } : entry;
+    const collector = getCollector(options.name);
+    if (!collector) {
+      throw new Error(`Unknown collector "${options.name}"`);
+    }
+    return {
+      ...collector,
+      path: options.path || collector.path,
+      waitFor: options.waitFor !== undefined ? options.waitFor : collector.waitFor,
+      screenshot: options.screenshot !== undefined ? options.screenshot : collector.screenshot
+    };
+  });
+}
+
+/**
+ * Validate collector config entries, returning a list of problems
+ */
+function validateCollectors(entries, label = 'collectors') {
+  if (entries === undefined) {
+    return [];
+  }
+  if (!Array.isArray(entries) || entries.length === 0) {
+    return [`${label} must be a non-empty array`];
+  }
+  const problems = [];
+  entries.forEach((entry, index) => {
+    const name = typeof entry === 'string' ? entry : entry && entry.name;
+    if (!getCollector(name)) {
+      problems.push(`${label}[${index}]: unknown collector "${name}" (available: ${Object.keys(COLLECTORS).join(', ')})`);
+    }
+  });
+  return problems;
+}
+
+module.exports = {
+  COLLECTORS,
+  DEFAULT_COLLECTORS,
+  getCollector,
+  resolveCollectors,
+  validateCollectors
+};
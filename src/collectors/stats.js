@@ -0,0 +1,18 @@
+const { parseStatsHtml } = require('../stats-parser');
+
+/**
+ * stats.do - build, node, memory, semaphore, scheduler and cache statistics
+ */
+module.exports = {
+  name: 'stats',
+  path: '/stats.do',
+  fileExtension: 'html',
+  source: 'dom',
+  waitFor: { selector: 'body' },
+  screenshot: true,
+
+  extract({ content }) {
+    const parsed = parseStatsHtml(content || '');
+    return { data: parsed.document, errors: parsed.errors };
+  }
+};
@@ -0,0 +1,31 @@
+const { decodeEntities } = require('../stats-parser');
+
+const THREAD_STATES = ['RUNNABLE', 'BLOCKED', 'WAITING', 'TIMED_WAITING', 'NEW', 'TERMINATED'];
+
+/**
+ * threads.do - JVM thread dump, summarised by thread state
+ */
+module.exports = {
+  name: 'threads',
+  path: '/threads.do',
+  fileExtension: 'html',
+  source: 'dom',
+  waitFor: { selector: 'body' },
+  screenshot: false,
+
+  extract({ content }) {
+    const text = decodeEntities(String(content || '').replace(/<[^>]*>/g, '\n'));
+    const states = {};
+    THREAD_STATES.forEach(state => {
+      const matches = text.match(new RegExp(`\\b${state}\\b`, 'g'));
+      states[state] = matches ? matches.length : 0;
+    });
+    const total = Object.values(states).reduce((sum, count) => sum + count, 0);
+    const schedulerWorkers = new Set(text.match(/glide\.scheduler\.worker\.\d+/g) || []).size;
+
+    if (total === 0) {
+      return { data: { total, states, schedulerWorkers }, errors: [{ section: 'threads', message: 'No thread states found' }] };
+    }
+    return { data: { total, states, schedulerWorkers }, errors: [] };
+  }
+};
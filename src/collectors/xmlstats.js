@@ -0,0 +1,65 @@
+const { decodeEntities, parseNumber } = require('../stats-parser');
+
+/**
+ * Flatten an XML document into dotted-path keys for every element with text
+ * e.g. <xmlstats><system.memory.max>2048</system.memory.max></xmlstats>
+ * becomes { "xmlstats.system.memory.max": 2048 }
+ */
+function flattenXml(xml) {
+  const values = {};
+  const stack = [];
+  let text = '';
+  const pattern = /<!\[CDATA\[([\s\S]*?)\]\]>|<(\/?)([\w.:-]+)[^>]*?(\/?)>|<[!?][^>]*>|([^<]+)/g;
+  let match;
+
+  while ((match = pattern.exec(xml)) !== null) {
+    const [, cdata, closing, tag, selfClosing, chars] = match;
+    if (cdata !== undefined) {
+      text += cdata;
+    } else if (chars !== undefined) {
+      text += chars;
+    } else if (tag && !closing && !selfClosing) {
+      stack.push(tag);
+      text = '';
+    } else if (tag && closing) {
+      const value = decodeEntities(text).trim();
+      if (value && stack[stack.length - 1] === tag) {
+        let key = stack.join('.');
+        let suffix = 2;
+        while (Object.prototype.hasOwnProperty.call(values, key)) {
+          key = `${stack.join('.')} (${suffix++})`;
+        }
+        values[key] = /^-?\d+(\.\d+)?$/.test(value) ? parseNumber(value) : value;
+      }
+      const index = stack.lastIndexOf(tag);
+      if (index !== -1) {
+        stack.length = index;
+      }
+      text = '';
+    }
+  }
+
+  return values;
+}
+
+/**
+ * xmlstats.do - the machine readable statistics document
+ */
+module.exports = {
+  name: 'xmlstats',
+  path: '/xmlstats.do',
+  fileExtension: 'xml',
+  source: 'response',
+  waitFor: null,
+  screenshot: false,
+
+  extract({ content }) {
+    const values = flattenXml(content || '');
+    if (Object.keys(values).length === 0) {
+      return { data: { values }, errors: [{ section: 'xmlstats', message: 'No XML values found' }] };
+    }
+    return { data: { values }, errors: [] };
+  },
+
+  flattenXml
+};
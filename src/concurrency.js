@@ -0,0 +1,92 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const util = require('util');
+
+const logPrefix = new AsyncLocalStorage();
+let restoreConsole = null;
+
+/**
+ * Run items through an async function with at most `limit` running at once
+ * Results are returned in the same order as the items.
+ */
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+
+  const worker = async () => {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+
+  const workerCount = Math.max(1, Math.min(limit || 1, items.length));
+  await Promise.all(Array.from({ length: workerCount }, worker));
+  return results;
+}
+
+/**
+ * Reject with a timeout error if the promise has not settled in time
+ * `onTimeout` runs when the time is up, e.g. to close the browser context
+ * so the abandoned work stops.
+ */
+function withTimeout(promise, timeoutMs, message, onTimeout) {
+  if (!timeoutMs || timeoutMs <= 0) {
+    return promise;
+  }
+
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => {
+      if (onTimeout) {
+        Promise.resolve().then(onTimeout).catch(() => {});
+      }
+      reject(new Error(message || `Timed out after ${Math.round(timeoutMs / 1000)}s`));
+    }, timeoutMs);
+  });
+
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Prefix console output with the current log prefix, if any
+ * Output outside runWithLogPrefix() is unchanged. Returns a function that puts
+ * the original console methods back; nested calls share the first patch.
+ */
+function installLogPrefix() {
+  if (restoreConsole) {
+    return () => {};
+  }
+
+  const originals = {};
+  for (const method of ['log', 'info', 'warn', 'error']) {
+    originals[method] = console[method];
+    const original = console[method].bind(console);
+    console[method] = (...args) => {
+      const prefix = logPrefix.getStore();
+      if (!prefix) {
+        original(...args);
+        return;
+      }
+      // Prefix every line, so multi-line messages stay attributable
+      const text = util.format(...args).replace(/^\n+/, '');
+      text.split('\n').forEach(line => original(`[${prefix}] ${line}`));
+    };
+  }
+
+  restoreConsole = () => {
+    Object.assign(console, originals);
+    restoreConsole = null;
+  };
+  return restoreConsole;
+}
+
+function runWithLogPrefix(prefix, fn) {
+  return logPrefix.run(prefix, fn);
+}
+
+module.exports = {
+  mapWithConcurrency,
+  withTimeout,
+  installLogPrefix,
+  runWithLogPrefix
+};
@@ -0,0 +1,276 @@
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const readline = require('readline');
+const { Writable } = require('stream');
+const { spawnSync } = require('child_process');
+const YAML = require('yaml');
+
+/**
+ * Encrypted configuration files
+ *
+ * Usage:
+ *   node src/config-crypto.js encrypt <instances.json> [--output file] [--force]
+ *   node src/config-crypto.js decrypt <instances.json.enc> [--output file]
+ *   node src/config-crypto.js edit <instances.json.enc>
+ *
+ * The file is encrypted with AES-256-GCM under a key derived (scrypt) from a
+ * passphrase and a per-file salt. The passphrase comes from CONFIG_PASSPHRASE,
+ * or is prompted for when running in a terminal. The config loader recognises
+ * encrypted files by their content, so they are used like any other config file.
+ */
+
+const FILE_TYPE = 'sn-pdi-encrypted-config';
+const FILE_VERSION = 1;
+const PASSPHRASE_VAR = 'CONFIG_PASSPHRASE';
+// Stronger than the scrypt defaults, since the passphrase is typed by a person
+const SCRYPT = { N: 2 ** 15, r: 8, p: 1 };
+const SCRYPT_MAXMEM = 64 * 1024 * 1024;
+
+// Asked for once per process, e.g. when a command reads both config files
+let promptedPassphrase = null;
+
+function deriveKey(passphrase, salt, params) {
+  return crypto.scryptSync(passphrase, salt, 32, { ...params, maxmem: SCRYPT_MAXMEM });
+}
+
+function formatOf(file) {
+  return /\.ya?ml(?:\.enc)?$/i.test(file) ? 'yaml' : 'json';
+}
+
+/**
+ * Encrypt config text; `format` ("json" or "yaml") says how to parse it after decryption
+ */
+function encryptConfig(plaintext, passphrase, format = 'json') {
+  const salt = crypto.randomBytes(16);
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', deriveKey(passphrase, salt, SCRYPT), iv);
+  const data = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+  return {
+    type: FILE_TYPE,
+    version: FILE_VERSION,
+    format: format,
+    kdf: { name: 'scrypt', ...SCRYPT, salt: salt.toString('base64') },
+    iv: iv.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64'),
+    data: data.toString('base64')
+  };
+}
+
+function decryptConfig(envelope, passphrase) {
+  if (envelope.version !== FILE_VERSION) {
+    throw new Error(`Unsupported encrypted config version ${envelope.version}`);
+  }
+  const { N, r, p, salt } = envelope.kdf;
+  const key = deriveKey(passphrase, Buffer.from(salt, 'base64'), { N, r, p });
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(envelope.iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(envelope.tag, 'base64'));
+  try {
+    return Buffer.concat([decipher.update(Buffer.from(envelope.data, 'base64')), decipher.final()]).toString('utf8');
+  } catch (error) {
+    // GCM cannot tell a wrong passphrase from a modified file
+    throw new Error('wrong passphrase, or the file has been modified');
+  }
+}
+
+/**
+ * The envelope when `text` is an encrypted config file, otherwise null
+ */
+function parseEncryptedConfig(text) {
+  if (!/^\s*\{/.test(text)) {
+    return null;
+  }
+  try {
+    const value = JSON.parse(text);
+    return value && value.type === FILE_TYPE ? value : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+function prompt(question) {
+  return new Promise(resolve => {
+    // Echo the question but not what is typed
+    let muted = false;
+    const output = new Writable({
+      write(chunk, encoding, callback) {
+        if (!muted) {
+          process.stderr.write(chunk, encoding);
+        }
+        callback();
+      }
+    });
+    const rl = readline.createInterface({ input: process.stdin, output, terminal: true });
+    rl.question(question, answer => {
+      rl.close();
+      process.stderr.write('\n');
+      resolve(answer);
+    });
+    muted = true;
+  });
+}
+
+/**
+ * Passphrase from CONFIG_PASSPHRASE, or prompted for in a terminal
+ * `confirm` asks twice, for passphrases that are about to be used to encrypt.
+ */
+async function resolvePassphrase({ label = 'the config file', confirm = false, env = process.env, interactive = true } = {}) {
+  if (env[PASSPHRASE_VAR]) {
+    return env[PASSPHRASE_VAR];
+  }
+  if (promptedPassphrase && !confirm) {
+    return promptedPassphrase;
+  }
+  if (!interactive || !process.stdin.isTTY) {
+    throw new Error(`set ${PASSPHRASE_VAR}, or run in a terminal to enter the passphrase`);
+  }
+  const passphrase = await prompt(`Passphrase for ${label}: `);
+  if (!passphrase) {
+    throw new Error('Passphrase must not be empty');
+  }
+  if (confirm && (await prompt('Repeat passphrase: ')) !== passphrase) {
+    throw new Error('Passphrases do not match');
+  }
+  promptedPassphrase = passphrase;
+  return passphrase;
+}
+
+function checkParses(text, format, label) {
+  try {
+    if (format === 'yaml') {
+      YAML.parse(text);
+    } else {
+      JSON.parse(text);
+    }
+  } catch (error) {
+    throw new Error(`${label} is not valid ${format === 'yaml' ? 'YAML' : 'JSON'}: ${error.message}`);
+  }
+}
+
+async function writePrivate(file, content) {
+  const tempFile = `${file}.tmp`;
+  await fs.writeFile(tempFile, content, { mode: 0o600 });
+  await fs.rename(tempFile, file);
+}
+
+async function exists(file) {
+  try {
+    await fs.access(file);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+async function readEncrypted(file) {
+  const envelope = parseEncryptedConfig(await fs.readFile(file, 'utf8'));
+  if (!envelope) {
+    throw new Error(`${file} is not an encrypted config file`);
+  }
+  return envelope;
+}
+
+async function encryptCommand(file, args) {
+  const plaintext = await fs.readFile(file, 'utf8');
+  if (parseEncryptedConfig(plaintext)) {
+    throw new Error(`${file} is already encrypted`);
+  }
+  const format = formatOf(file);
+  checkParses(plaintext, format, file);
+
+  const output = args.output || `${file}.enc`;
+  if (!args.force && await exists(output)) {
+    throw new Error(`${output} already exists, pass --force to overwrite it`);
+  }
+  const passphrase = await resolvePassphrase({ label: output, confirm: true });
+  await writePrivate(output, `${JSON.stringify(encryptConfig(plaintext, passphrase, format), null, 2)}\n`);
+  console.log(`Encrypted config written: ${output}`);
+  console.log(`Delete the plaintext ${file} once you have checked the encrypted file works.`);
+}
+
+async function decryptCommand(file, args) {
+  const envelope = await readEncrypted(file);
+  const plaintext = decryptConfig(envelope, await resolvePassphrase({ label: file }));
+  if (args.output) {
+    await writePrivate(args.output, plaintext);
+    console.error(`Decrypted config written: ${args.output}`);
+  } else {
+    process.stdout.write(plaintext);
+  }
+}
+
+async function editCommand(file) {
+  const envelope = await readEncrypted(file);
+  const passphrase = await resolvePassphrase({ label: file });
+  const plaintext = decryptConfig(envelope, passphrase);
+
+  // The plaintext only exists in a private temporary directory while the editor is open
+  const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'sn-pdi-config-'));
+  const tempFile = path.join(tempDir, `config.${envelope.format === 'yaml' ? 'yaml' : 'json'}`);
+  try {
+    await fs.writeFile(tempFile, plaintext, { mode: 0o600 });
+    const editor = process.env.VISUAL || process.env.EDITOR || 'vi';
+    const result = spawnSync(`${editor} "${tempFile}"`, { shell: true, stdio: 'inherit' });
+    if (result.status !== 0) {
+      throw new Error(`Editor exited with ${result.status === null ? result.signal : `code ${result.status}`}, ${file} left unchanged`);
+    }
+
+    const edited = await fs.readFile(tempFile, 'utf8');
+    if (edited === plaintext) {
+      console.log(`No changes, ${file} left unchanged`);
+      return;
+    }
+    checkParses(edited, envelope.format, `The edited config (${file} left unchanged)`);
+    await writePrivate(file, `${JSON.stringify(encryptConfig(edited, passphrase, envelope.format), null, 2)}\n`);
+    console.log(`Encrypted config updated: ${file}`);
+  } finally {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  }
+}
+
+function parseArgs(argv) {
+  const args = { command: argv[0], file: null, output: null, force: false };
+  for (let i = 1; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--output') {
+      args.output = argv[++i];
+    } else if (arg === '--force') {
+      args.force = true;
+    } else if (!args.file) {
+      args.file = arg;
+    } else {
+      throw new Error(`Unexpected argument: ${arg}`);
+    }
+  }
+  if (!['encrypt', 'decrypt', 'edit'].includes(args.command) || !args.file) {
+    throw new Error('Usage: node src/config-crypto.js <encrypt|decrypt|edit> <file> [--output file] [--force]');
+  }
+  return args;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (args.command === 'encrypt') {
+    await encryptCommand(args.file, args);
+  } else if (args.command === 'decrypt') {
+    await decryptCommand(args.file, args);
+  } else {
+    await editCommand(args.file);
+  }
+}
+
+if (require.main === module) {
+  main().catch(error => {
+    console.error(error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  PASSPHRASE_VAR,
+  encryptConfig,
+  decryptConfig,
+  parseEncryptedConfig,
+  resolvePassphrase
+};
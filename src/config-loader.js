@@ -0,0 +1,265 @@
+const fs = require('fs').promises;
+const path = require('path');
+const YAML = require('yaml');
+const { STATS_SCHEMA, DEVELOPER_SCHEMA, validateSchema } = require('./config-schema');
+const { parseEncryptedConfig, decryptConfig, resolvePassphrase } = require('./config-crypto');
+
+/**
+ * Configuration loading shared by the stats scraper and the developer keepalive
+ *
+ * Configuration comes from a JSON or YAML file (--config or the *_CONFIG_FILE
+ * variable), from the JSON environment variable, or both. When both are set the
+ * file is the base and the environment variable is merged over it, so the file
+ * can be committed while passwords stay in a secret. Entries in the instance or
+ * account list are matched by name when merging. Files written by
+ * config-crypto.js are decrypted on the way in.
+ */
+
+const SOURCES = {
+  stats: {
+    envVar: 'SERVICENOW_INSTANCES_JSON',
+    fileVar: 'SERVICENOW_CONFIG_FILE',
+    schema: STATS_SCHEMA,
+    entryName: 'instance'
+  },
+  developer: {
+    envVar: 'DEVELOPER_ACCOUNTS_JSON',
+    fileVar: 'DEVELOPER_CONFIG_FILE',
+    schema: DEVELOPER_SCHEMA,
+    entryName: 'account'
+  }
+};
+
+class ConfigError extends Error {
+  constructor(message, problems = []) {
+    super(problems.length > 0 ? `${message}:\n  ${problems.join('\n  ')}` : message);
+    this.name = 'ConfigError';
+    this.problems = problems;
+  }
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function parseConfigText(text, label, yaml = /\.ya?ml$/i.test(label)) {
+  try {
+    return yaml ? YAML.parse(text) : JSON.parse(text);
+  } catch (error) {
+    throw new ConfigError(`${label} is not valid ${yaml ? 'YAML' : 'JSON'}: ${error.message}`);
+  }
+}
+
+/**
+ * Read a JSON, YAML or encrypted config file
+ * Encrypted files need CONFIG_PASSPHRASE, or a terminal to prompt in unless `interactive` is false.
+ */
+async function readConfigFile(file, { env = process.env, interactive = true } = {}) {
+  let text;
+  try {
+    text = await fs.readFile(file, 'utf8');
+  } catch (error) {
+    throw new ConfigError(`Cannot read config file ${file}: ${error.message}`);
+  }
+
+  const label = path.basename(file);
+  const envelope = parseEncryptedConfig(text);
+  if (!envelope) {
+    return parseConfigText(text, label);
+  }
+  let plaintext;
+  try {
+    plaintext = decryptConfig(envelope, await resolvePassphrase({ label, env, interactive }));
+  } catch (error) {
+    throw new ConfigError(`Cannot decrypt ${label}: ${error.message}`);
+  }
+  return parseConfigText(plaintext, label, envelope.format === 'yaml');
+}
+
+// The keepalive has always taken a bare array of accounts
+function normalize(value, listKey) {
+  return Array.isArray(value) ? { [listKey]: value } : value;
+}
+
+function mergeEntries(baseEntries, overrideEntries) {
+  const merged = baseEntries.map(entry => ({ ...entry }));
+  overrideEntries.forEach(entry => {
+    const index = isPlainObject(entry) && entry.name
+      ? merged.findIndex(existing => isPlainObject(existing) && existing.name === entry.name)
+      : -1;
+    if (index === -1) {
+      merged.push(entry);
+    } else {
+      merged[index] = mergeConfig(merged[index], entry);
+    }
+  });
+  return merged;
+}
+
+/**
+ * Deep-merge two configurations; `listKey` arrays are merged entry by entry, other arrays are replaced
+ */
+function mergeConfig(base, override, listKey = null) {
+  const merged = { ...base };
+  Object.entries(override).forEach(([key, value]) => {
+    if (key === listKey && Array.isArray(base[key]) && Array.isArray(value)) {
+      merged[key] = mergeEntries(base[key], value);
+    } else if (isPlainObject(base[key]) && isPlainObject(value)) {
+      merged[key] = mergeConfig(base[key], value);
+    } else {
+      merged[key] = value;
+    }
+  });
+  return merged;
+}
+
+/**
+ * Apply the `defaults` block to one entry
+ * Settings the entry has win; objects such as `retry` are merged one level deep.
+ */
+function applyDefaults(defaults, entry) {
+  if (!isPlainObject(defaults) || !isPlainObject(entry)) {
+    return entry;
+  }
+  const applied = { ...entry };
+  Object.entries(defaults).forEach(([key, value]) => {
+    if (applied[key] === undefined) {
+      applied[key] = value;
+    } else if (isPlainObject(value) && isPlainObject(applied[key])) {
+      applied[key] = { ...value, ...applied[key] };
+    }
+  });
+  return applied;
+}
+
+function configFileArgument(argv) {
+  const index = argv.indexOf('--config');
+  return index !== -1 ? argv[index + 1] : null;
+}
+
+/**
+ * Read and merge the configuration sources without validating them
+ * `file` takes precedence over --config in `argv`, which takes precedence over the *_CONFIG_FILE variable.
+ * Returns { config, sources }; config is {} when nothing is configured.
+ */
+async function readConfig(kind, { file = null, argv = process.argv.slice(2), env = process.env, interactive = true } = {}) {
+  const source = SOURCES[kind];
+  const listKey = source.schema.listKey;
+  const layers = [];
+
+  file = file || configFileArgument(argv) || env[source.fileVar];
+  if (file) {
+    layers.push({ label: file, value: normalize(await readConfigFile(file, { env, interactive }), listKey) });
+  }
+  if (env[source.envVar]) {
+    layers.push({ label: source.envVar, value: normalize(parseConfigText(env[source.envVar], source.envVar), listKey) });
+  }
+
+  layers.forEach(layer => {
+    if (!isPlainObject(layer.value)) {
+      throw new ConfigError(`${layer.label} must contain an object${kind === 'developer' ? ' or an array of accounts' : ''}`);
+    }
+  });
+
+  const config = layers.reduce((merged, layer) => mergeConfig(merged, layer.value, listKey), {});
+  return { config, sources: layers.map(layer => layer.label) };
+}
+
+/**
+ * Check a merged configuration against its schema, returning every problem with its path
+ */
+function validateConfig(config, schema) {
+  const problems = validateSchema(config, schema, '');
+  const entries = config[schema.listKey];
+  if (!Array.isArray(entries)) {
+    return problems;
+  }
+
+  const seen = new Set();
+  entries.forEach((entry, index) => {
+    const label = `${schema.listKey}[${index}]`;
+    problems.push(...validateSchema(entry, schema.entry, label, { requireFields: false }));
+    if (!isPlainObject(entry)) {
+      return;
+    }
+    const applied = applyDefaults(config.defaults, entry);
+    schema.entry.required.filter(key => applied[key] === undefined).forEach(key => {
+      problems.push(`${label}.${key} is required`);
+    });
+    problems.push(...schema.entry.checkEntry(applied, label));
+    if (entry.name) {
+      if (seen.has(entry.name)) {
+        problems.push(`${label}.name "${entry.name}" is used more than once`);
+      }
+      seen.add(entry.name);
+    }
+  });
+  return problems;
+}
+
+/**
+ * Narrow entries down by name and tag
+ * `only` and `exclude` are lists of names, `tags` keeps entries with any of the tags.
+ */
+function selectEntries(entries, { only = [], exclude = [], tags = [] } = {}, entryName = 'instance') {
+  const names = entries.map(entry => entry.name);
+  const unknown = [...only, ...exclude].filter(name => !names.includes(name));
+  if (unknown.length > 0) {
+    throw new ConfigError(`No ${entryName} named ${unknown.map(name => `"${name}"`).join(', ')}. Configured: ${names.join(', ')}`);
+  }
+  return entries.filter(entry => (only.length === 0 || only.includes(entry.name)) &&
+    !exclude.includes(entry.name) &&
+    (tags.length === 0 || (entry.tags || []).some(tag => tags.includes(tag))));
+}
+
+/**
+ * Validate and resolve a configuration returned by readConfig()
+ * Entries come back with their defaults applied and a name filled in, narrowed
+ * down by `select` ({ only, exclude, tags }) when given.
+ * Throws a ConfigError listing every problem when the configuration is invalid.
+ */
+function resolveConfig(kind, config, { select = null } = {}) {
+  const source = SOURCES[kind];
+  const problems = validateConfig(config, source.schema);
+  if (problems.length > 0) {
+    throw new ConfigError('Invalid configuration', problems);
+  }
+
+  const listKey = source.schema.listKey;
+  config[listKey] = config[listKey].map((entry, index) => {
+    const applied = applyDefaults(config.defaults, entry);
+    return { ...applied, name: applied.name || `${source.entryName}-${index + 1}` };
+  });
+  if (select) {
+    config[listKey] = selectEntries(config[listKey], select, source.entryName);
+    if (config[listKey].length === 0) {
+      throw new ConfigError(`No ${source.entryName}s left after applying --only, --exclude and --tag`);
+    }
+  }
+  return config;
+}
+
+/**
+ * Read, validate and resolve the configuration for "stats" or "developer"
+ * Returns { config, sources }; see readConfig() and resolveConfig() for the options.
+ */
+async function loadConfig(kind, options = {}) {
+  const source = SOURCES[kind];
+  const { config, sources } = await readConfig(kind, options);
+  if (sources.length === 0) {
+    throw new ConfigError(`No configuration found. Set ${source.envVar} or ${source.fileVar}, or pass --config <file>`);
+  }
+  return { config: resolveConfig(kind, config, options), sources };
+}
+
+module.exports = {
+  ConfigError,
+  readConfig,
+  readConfigFile,
+  resolveConfig,
+  loadConfig,
+  selectEntries,
+  validateConfig,
+  mergeConfig,
+  applyDefaults
+};
@@ -0,0 +1,264 @@
+const { SEVERITIES, validateRules } = require('./alert-rules');
+const { validateCollectors } = require('./collectors');
+const { validateLoginOptions } = require('./login-options');
+const { validateRedaction } = require('./redaction');
+const { validateRetry } = require('./retry');
+const { validateNotifications } = require('./notifier');
+const { validateProbes } = require('./probes');
+
+/**
+ * Configuration schemas for the stats scraper and the developer keepalive
+ *
+ * A schema node has a `type` (or a list of types) and, depending on the type,
+ * `properties`/`required`, `items`/`minItems`, `minimum`/`maximum`, `enum`,
+ * `format`. `check(value, path)` adds problems that the structure alone cannot
+ * express; the feature modules' own validators are hooked in this way.
+ */
+
+const LOCAL_HOSTS = ['localhost', '127.0.0.1', '[::1]'];
+
+const positiveInteger = { type: 'integer', minimum: 1 };
+const milliseconds = { type: 'number', minimum: 0 };
+const days = { type: 'number', minimum: 0 };
+
+// The run history of either script; `0` keeps everything
+function historySchema(maxRunsKey) {
+  return {
+    type: 'object',
+    properties: {
+      enabled: { type: 'boolean' },
+      dir: { type: 'string' },
+      file: { type: 'string' },
+      retentionDays: days,
+      [maxRunsKey]: { type: 'integer', minimum: 0 }
+    }
+  };
+}
+
+// Settings that `defaults` can provide for every instance or account
+const STATS_OVERRIDABLE = {
+  mode: { type: 'string', enum: ['browser', 'rest'] },
+  timeoutMs: milliseconds,
+  screenshots: { type: 'boolean' },
+  retry: { type: ['integer', 'object'], check: validateRetry },
+  redaction: { type: 'object', check: validateRedaction },
+  rest: {
+    type: 'object',
+    properties: {
+      timeoutMs: milliseconds,
+      statsPath: { type: 'string', pattern: /^\//, patternMessage: 'must start with /' }
+    }
+  }
+};
+
+const STATS_INSTANCE = {
+  type: 'object',
+  required: ['url', 'username', 'password'],
+  properties: {
+    name: { type: 'string', minLength: 1 },
+    url: { type: 'string', format: 'https-url' },
+    username: { type: 'string', minLength: 1 },
+    password: { type: 'string', minLength: 1 },
+    totpSecret: { type: 'string' },
+    login: { type: 'object' },
+    rules: { type: 'array', check: validateRules },
+    collectors: { type: 'array', check: validateCollectors },
+    probes: { type: 'array', check: validateProbes },
+    tags: { type: 'array', items: { type: 'string', minLength: 1 } },
+    ...STATS_OVERRIDABLE
+  },
+  // Runs on the instance with its defaults applied, since e.g. SSO depends on the mode
+  checkEntry: (instance, label) => {
+    const problems = validateLoginOptions(instance, label);
+    if (instance.mode === 'rest' && Array.isArray(instance.probes) && instance.probes.length > 0) {
+      problems.push(`${label}.probes need the browser, they cannot be used in REST mode`);
+    }
+    return problems;
+  }
+};
+
+const STATS_SCHEMA = {
+  type: 'object',
+  required: ['instances'],
+  listKey: 'instances',
+  entry: STATS_INSTANCE,
+  properties: {
+    instances: { type: 'array', minItems: 1 },
+    defaults: { type: 'object', properties: STATS_OVERRIDABLE },
+    rules: { type: 'array', check: validateRules },
+    collectors: { type: 'array', check: validateCollectors },
+    retry: { type: ['integer', 'object'], check: validateRetry },
+    redaction: { type: 'object', check: validateRedaction },
+    concurrency: {
+      type: ['integer', 'object'],
+      minimum: 1,
+      properties: { limit: positiveInteger, browsers: positiveInteger, instanceTimeoutMs: milliseconds }
+    },
+    alerting: {
+      type: 'object',
+      properties: {
+        failOnSeverity: { type: 'string', enum: SEVERITIES },
+        countHibernatingAsFailure: { type: 'boolean' }
+      }
+    },
+    history: historySchema('maxRunsPerInstance'),
+    sessions: {
+      type: 'object',
+      properties: { enabled: { type: 'boolean' }, dir: { type: 'string' }, maxAgeHours: { type: 'number', minimum: 0 } }
+    },
+    visualDiff: {
+      type: 'object',
+      properties: {
+        enabled: { type: 'boolean' },
+        dir: { type: 'string' },
+        thresholdPercent: { type: 'number', minimum: 0, maximum: 100 },
+        pixelThreshold: { type: 'number', minimum: 0, maximum: 1 }
+      }
+    },
+    metrics: { type: 'object', properties: { enabled: { type: 'boolean' } } },
+    notifications: { type: 'object', check: validateNotifications }
+  }
+};
+
+const DEVELOPER_OVERRIDABLE = {
+  timeoutMs: milliseconds,
+  screenshots: { type: 'boolean' },
+  retry: { type: ['integer', 'object'], check: validateRetry }
+};
+
+const DEVELOPER_SCHEMA = {
+  type: 'object',
+  required: ['accounts'],
+  listKey: 'accounts',
+  entry: {
+    type: 'object',
+    required: ['email', 'password'],
+    properties: {
+      name: { type: 'string', minLength: 1 },
+      email: { type: 'string', pattern: /^[^@\s]+@[^@\s]+$/, patternMessage: 'must be an email address' },
+      password: { type: 'string', minLength: 1 },
+      totpSecret: { type: 'string' },
+      tags: { type: 'array', items: { type: 'string', minLength: 1 } },
+      ...DEVELOPER_OVERRIDABLE
+    },
+    checkEntry: (account, label) => {
+      if (account.totpSecret === undefined) {
+        return [];
+      }
+      // Same base32 check as for instances
+      return validateLoginOptions({ totpSecret: account.totpSecret }, label);
+    }
+  },
+  properties: {
+    accounts: { type: 'array', minItems: 1 },
+    defaults: { type: 'object', properties: DEVELOPER_OVERRIDABLE },
+    history: historySchema('maxRunsPerAccount'),
+    notifications: { type: 'object', check: validateNotifications }
+  }
+};
+
+function typeOf(value) {
+  if (Array.isArray(value)) {
+    return 'array';
+  }
+  if (value === null) {
+    return 'null';
+  }
+  if (typeof value === 'number' && Number.isInteger(value)) {
+    return 'integer';
+  }
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+}
+
+function describeTypes(types) {
+  const names = { object: 'an object', array: 'an array', string: 'a string', integer: 'an integer', number: 'a number', boolean: 'true or false' };
+  return types.map(type => names[type] || type).join(' or ');
+}
+
+function childPath(path, key) {
+  return path ? `${path}.${key}` : key;
+}
+
+function checkUrl(value, path) {
+  let url;
+  try {
+    url = new URL(value);
+  } catch (error) {
+    return [`${path} must be a URL`];
+  }
+  // Plain http is only accepted for local stand-ins used in testing
+  if (url.protocol !== 'https:' && !(url.protocol === 'http:' && LOCAL_HOSTS.includes(url.hostname))) {
+    return [`${path} must be https`];
+  }
+  return [];
+}
+
+/**
+ * Validate a value against a schema node, returning every problem found
+ * `requireFields: false` skips `required`, for entries checked again after defaults are applied.
+ */
+function validateSchema(value, schema, path, { requireFields = true } = {}) {
+  const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+  if (!types.some(type => matchesType(value, type))) {
+    return [`${path || 'Configuration'} must be ${describeTypes(types)}`];
+  }
+
+  const problems = [];
+  if (schema.enum && !schema.enum.includes(value)) {
+    problems.push(`${path} must be one of ${schema.enum.join(', ')}`);
+  }
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      problems.push(`${path} must be at least ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      problems.push(`${path} must be at most ${schema.maximum}`);
+    }
+  }
+  if (typeof value === 'string') {
+    if (schema.minLength && value.length < schema.minLength) {
+      problems.push(`${path} must not be empty`);
+    }
+    if (schema.pattern && !schema.pattern.test(value)) {
+      problems.push(`${path} ${schema.patternMessage || `must match ${schema.pattern}`}`);
+    }
+    if (schema.format === 'https-url') {
+      problems.push(...checkUrl(value, path));
+    }
+  }
+  if (Array.isArray(value)) {
+    if (schema.minItems && value.length < schema.minItems) {
+      problems.push(`${path} must have at least ${schema.minItems} ${schema.minItems === 1 ? 'entry' : 'entries'}`);
+    }
+    if (schema.items) {
+      value.forEach((item, index) => problems.push(...validateSchema(item, schema.items, `${path}[${index}]`)));
+    }
+  }
+  if (typeOf(value) === 'object') {
+    if (requireFields) {
+      (schema.required || []).filter(key => value[key] === undefined).forEach(key => {
+        problems.push(`${childPath(path, key)} is required`);
+      });
+    }
+    Object.entries(schema.properties || {}).forEach(([key, propertySchema]) => {
+      if (value[key] !== undefined) {
+        problems.push(...validateSchema(value[key], propertySchema, childPath(path, key)));
+      }
+    });
+  }
+  if (schema.check && problems.length === 0) {
+    problems.push(...schema.check(value, path));
+  }
+  return problems;
+}
+
+module.exports = {
+  STATS_SCHEMA,
+  DEVELOPER_SCHEMA,
+  validateSchema
+};
@@ -1,13 +1,35 @@
 const puppeteer = require('puppeteer');
 const fs = require('fs').promises;
+const path = require('path');
 const { generateTOTP } = require('./totp-handler');
+const { HistoryStore, resolveHistoryOptions } = require('./history-store');
+const { writeDeveloperTextfile } = require('./metrics-exporter');
+const { VisualBaseline, resolveVisualDiffOptions } = require('./visual-diff');
+const { capturePageTiming } = require('./page-timings');
+const { failure, classifyFailure, classifyLoginMessage } = require('./failure-classifier');
+const { resolveRetryOptions, runWithRetries } = require('./retry');
+const { withTimeout } = require('./concurrency');
+const { ConfigError, loadConfig } = require('./config-loader');
+const { buildKeepaliveEvents, resolveNotificationOptions, sendNotifications } = require('./notifier');
+const { buildKeepaliveTestSuite, writeJUnitReport } = require('./junit-report');
+const { writeRunReport } = require('./report-run');
 
 class DeveloperAccountLogin {
-  constructor(accountConfig) {
+  constructor(accountConfig, options = {}) {
     this.name = accountConfig.name;
     this.email = accountConfig.email;
     this.password = accountConfig.password;
     this.totpSecret = accountConfig.totpSecret;
+    this.screenshots = accountConfig.screenshots !== false;
+    this.headful = options.headful === true;
+    this.outputDir = options.outputDir || '.';
+    this.verbose = options.verbose === true;
+    this.visualBaseline = options.visualBaseline || null;
+    this.visualResults = [];
+    this.screenshotFiles = [];
+    this.timings = {};
+    // Where the login is, reported with the failure code when something goes wrong
+    this.step = null;
     this.browser = null;
     this.page = null;
     this.developerHosts = ['developer.servicenow.com', 'developers.servicenow.com'];
@@ -27,11 +49,23 @@ class DeveloperAccountLogin {
     message = message.replace(/developer\.servicenow\.com/gi, '[DEVELOPER_PORTAL]');
     return message;
   }
+  
+  get step() {
+    return this.currentStep;
+  }
+  
+  set step(step) {
+    this.currentStep = step;
+    if (this.verbose && step) {
+      console.log(`[${this.name}] Step: ${step}`);
+    }
+  }
 
   async init() {
     console.log(`[${this.name}] Initializing browser...`);
+    this.step = 'init';
     this.browser = await puppeteer.launch({
-      headless: 'new',
+      headless: this.headful ? false : 'new',
       args: [
         '--no-sandbox',
         '--disable-setuid-sandbox',
@@ -162,11 +196,14 @@ class DeveloperAccountLogin {
     
     try {
       // Navigate to developer login (ServiceNow SSO)
+      this.step = 'ssoLoginPage';
+      const loginPageStarted = Date.now();
       await this.navigateWithRetries('https://signon.service-now.com/x_snc_sso_auth.do?pageId=login', {
         waitUntil: 'domcontentloaded',
         timeout: 60000,
         retries: 1
       });
+      await this.recordTiming('ssoLoginPage', loginPageStarted);
       
       // Wait for any loading overlays to disappear
       console.log(`[${this.name}] Waiting for page to fully load...`);
@@ -200,6 +237,7 @@ class DeveloperAccountLogin {
       }
       
       // Step 1: Fill email and click Next
+      this.step = 'email';
       const emailSelectors = [
         'input#username',  // The actual ID we found
         'input[name="username"]',  // The actual name we found
@@ -212,7 +250,7 @@ class DeveloperAccountLogin {
       const emailSelector = await this.findFirstVisibleSelector(emailSelectors, { timeoutPerSelector: 5000 });
 
       if (!emailSelector) {
-        throw new Error('Could not find email input field');
+        throw failure('SELECTOR_NOT_FOUND', 'Could not find email input field');
       }
 
       console.log(`[${this.name}] Found email field with selector: ${emailSelector}`);
@@ -221,6 +259,7 @@ class DeveloperAccountLogin {
       
       // Click Next button
       console.log(`[${this.name}] Clicking Next...`);
+      const passwordPageStarted = Date.now();
       
       // Find the Next button using multiple strategies
       const nextButtonClicked = await this.clickButtonByText(['next', 'continue']);
@@ -236,9 +275,11 @@ class DeveloperAccountLogin {
       } catch (navigationError) {
         // Ignore timeout, password field may appear without full navigation
       }
+      await this.recordTiming('passwordPage', passwordPageStarted);
       
       // Step 2: Fill password
       console.log(`[${this.name}] Filling password...`);
+      this.step = 'password';
       const passwordSelectors = [
         'input[type="password"]',
         'input[name="password"]',
@@ -255,7 +296,7 @@ class DeveloperAccountLogin {
         if (this.isSSOUrl(currentUrl)) {
           console.log(`[${this.name}] Password field not found but already on SSO host (${currentUrl}), continuing...`);
         } else {
-          throw new Error('Could not find password input field');
+          throw failure('SELECTOR_NOT_FOUND', 'Could not find password input field');
         }
       } else {
         await this.page.click(passwordSelector, { clickCount: 3 });
@@ -265,6 +306,8 @@ class DeveloperAccountLogin {
       
       // Submit login form
       console.log(`[${this.name}] Clicking Sign In...`);
+      this.step = 'signIn';
+      const signInStarted = Date.now();
       
       // Find and click the Sign In button
       const signInClicked = await this.clickButtonByText(['sign in', 'log in', 'submit', 'continue']);
@@ -280,9 +323,22 @@ class DeveloperAccountLogin {
       } catch (navigationError) {
         // Ignore timeout, subsequent checks will validate actual page
       }
+      await this.recordTiming('signIn', signInStarted);
+      
+      // A wrong password or a locked account leaves the sign-in form up with a message
+      const signInPageText = await this.page.evaluate(() => {
+        const passwordField = document.querySelector('input[type="password"]');
+        return passwordField && passwordField.offsetParent !== null && document.body ? document.body.innerText : '';
+      }).catch(() => '');
+      const rejection = classifyLoginMessage(signInPageText);
+      if (rejection) {
+        throw failure(rejection);
+      }
       
       // Check for 2FA
       await this.handle2FA();
+      this.step = 'developerPortal';
+      const portalStarted = Date.now();
       
       // Check if we're on the SSO apps page
       await new Promise(resolve => setTimeout(resolve, 2000));
@@ -448,6 +504,7 @@ class DeveloperAccountLogin {
         // Don't throw error here, let navigateToInstances handle the navigation
       }
       
+      await this.recordTiming('developerPortal', portalStarted);
       console.log(`[${this.name}] Login successful`);
       
       return true;
@@ -460,6 +517,7 @@ class DeveloperAccountLogin {
 
   async handle2FA() {
     console.log(`[${this.name}] Checking for 2FA...`);
+    this.step = 'mfa';
     
     try {
       // Wait a bit to see if 2FA page appears
@@ -482,6 +540,7 @@ class DeveloperAccountLogin {
       }
       
       console.log(`[${this.name}] 2FA page detected`);
+      const mfaStarted = Date.now();
       
       // Check if we need to select authentication method
       const needsMethodSelection = await this.page.evaluate(() => {
@@ -542,7 +601,7 @@ class DeveloperAccountLogin {
         });
         
         if (!selectClicked) {
-          throw new Error('Could not find Select button for Authenticator App');
+          throw failure('MFA_METHOD_UNAVAILABLE', 'Could not find Select button for Authenticator App');
         }
         
         // Wait for the code input page to load
@@ -550,7 +609,7 @@ class DeveloperAccountLogin {
       }
       
       if (!this.totpSecret) {
-        throw new Error('2FA required but no TOTP secret provided');
+        throw failure('MFA_SECRET_MISSING', '2FA required but no TOTP secret provided');
       }
       
       // Generate TOTP code
@@ -611,7 +670,7 @@ class DeveloperAccountLogin {
           });
           
           if (!authAppSelected) {
-            throw new Error('Could not select Authenticator App option');
+            throw failure('MFA_METHOD_UNAVAILABLE', 'Could not select Authenticator App option');
           }
           
           // Wait and possibly click submit/continue
@@ -698,7 +757,7 @@ class DeveloperAccountLogin {
         }
         
         if (!totpFieldFound) {
-          throw new Error('Could not find TOTP input field');
+          throw failure('SELECTOR_NOT_FOUND', 'Could not find TOTP input field');
         }
       }
       
@@ -785,9 +844,10 @@ class DeveloperAccountLogin {
       }
 
       if (still2FA) {
-        throw new Error('2FA verification failed - still on 2FA page. Code may be incorrect or expired.');
+        throw failure('MFA_REJECTED', '2FA verification failed - still on 2FA page. Code may be incorrect or expired.');
       }
 
+      await this.recordTiming('mfa', mfaStarted);
       console.log(`[${this.name}] 2FA completed successfully, navigated to: ${post2FAUrl}`);
       
     } catch (error) {
@@ -798,6 +858,7 @@ class DeveloperAccountLogin {
 
   async navigateToInstances() {
     console.log(`[${this.name}] Navigating to instances page...`);
+    this.step = 'instancesPage';
 
     try {
       // First check if we're already on the developer portal
@@ -835,6 +896,7 @@ class DeveloperAccountLogin {
       }
       
       // Now navigate to instances page
+      const instancesStarted = Date.now();
       await this.navigateWithRetries('https://developer.servicenow.com/dev/instances', {
         waitUntil: 'domcontentloaded',
         timeout: 45000
@@ -842,6 +904,7 @@ class DeveloperAccountLogin {
       
       // Wait for page to load
       await new Promise(resolve => setTimeout(resolve, 3000));
+      await this.recordTiming('instancesPage', instancesStarted);
       
       // Optional: Take screenshot of instances page for verification
       // await this.takeScreenshot('07-instances-page');
@@ -877,14 +940,24 @@ class DeveloperAccountLogin {
     }
   }
 
+  // Store the navigation timing of the current page under a step name
+  async recordTiming(step, startedAt = null) {
+    try {
+      this.timings[step] = await capturePageTiming(this.page, { startedAt });
+    } catch (error) {
+      // Pages often navigate away mid-read during SSO redirects, the step is just left out
+      console.log(`[${this.name}] Could not read page timing for ${step}:`, this.sanitizeError(error));
+    }
+  }
+
   async takeScreenshot(suffix) {
     // Skip screenshots in production for performance
-    if (process.env.SKIP_SCREENSHOTS === 'true') {
+    if (process.env.SKIP_SCREENSHOTS === 'true' || !this.screenshots) {
       return;
     }
     
     const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-    const filename = `developer-${this.name}-${suffix}-${timestamp}.png`;
+    const filename = path.join(this.outputDir, `developer-${this.name}-${suffix}-${timestamp}.png`);
     
     try {
       await this.page.screenshot({ 
@@ -893,59 +966,150 @@ class DeveloperAccountLogin {
       });
     } catch (error) {
       console.error(`[${this.name}] Screenshot error:`, this.sanitizeError(error));
+      return;
+    }
+    this.screenshotFiles.push(filename);
+    
+    // Compare with the same step's screenshot from the previous run to spot UI redesigns
+    if (this.visualBaseline) {
+      try {
+        const visual = await this.visualBaseline.check(`${this.name}-${suffix}`, filename);
+        this.visualResults.push({ step: suffix, ...visual });
+        if (visual.flagged) {
+          console.log(`[${this.name}] [VISUAL] ${suffix} screenshot differs by ${visual.mismatchPercent}% (threshold ${visual.thresholdPercent}%)`);
+        }
+      } catch (error) {
+        console.error(`[${this.name}] Visual comparison error:`, error.message);
+      }
     }
+    
+    return filename;
   }
 
   async close() {
-    if (this.browser) {
-      await this.browser.close();
+    // Cleared first, a timed-out attempt closes the browser before its finally block does
+    const browser = this.browser;
+    this.browser = null;
+    if (browser) {
+      await browser.close();
     }
   }
 }
 
-async function main() {
-  // Check for configuration
-  if (!process.env.DEVELOPER_ACCOUNTS_JSON) {
-    console.error('No developer accounts configured.');
-    console.error('Please set DEVELOPER_ACCOUNTS_JSON environment variable.');
-    console.error('Example format:');
-    console.error('[{"name":"account1","email":"user@example.com","password":"pass","totpSecret":"SECRET"}]');
-    process.exit(1);
-  }
-  
-  let accounts = [];
+/**
+ * One keepalive attempt for an account; failures are returned, not thrown
+ */
+async function attemptAccount(account, options) {
+  const login = new DeveloperAccountLogin(account, options);
+  const outcome = { login: login, status: null, loginMs: null, error: null, code: null, step: null };
+  const timeoutMs = account.timeoutMs;
   
   try {
-    // Parse configuration
-    accounts = JSON.parse(process.env.DEVELOPER_ACCOUNTS_JSON);
+    const run = async () => {
+      await login.init();
+      const loginStarted = Date.now();
+      await login.login();
+      outcome.loginMs = Date.now() - loginStarted;
+      await login.navigateToInstances();
+    };
     
-    if (!Array.isArray(accounts) || accounts.length === 0) {
-      throw new Error('Configuration must be an array with at least one account');
-    }
+    // Closing the browser on timeout aborts whatever page operation is pending
+    await withTimeout(run(), timeoutMs, `Account timed out after ${Math.round(timeoutMs / 1000)}s`, () => login.close());
     
-    // Validate accounts
-    accounts.forEach((account, index) => {
-      if (!account.email || !account.password) {
-        throw new Error(`Account at index ${index} missing required fields (email, password)`);
-      }
-      if (!account.name) {
-        account.name = `account-${index + 1}`;
-      }
-    });
+    console.log(`[${account.name}] Keepalive completed successfully`);
+    outcome.status = 'success';
     
   } catch (error) {
-    console.error('Failed to parse DEVELOPER_ACCOUNTS_JSON:', error.message);
-    process.exit(1);
+    const sanitizedError = login.sanitizeError(error);
+    const { code, step } = classifyFailure(error, { step: login.step });
+    console.error(`[${account.name}] Failed [${code} at ${step || 'start'}]:`, sanitizedError);
+    outcome.status = 'failed';
+    outcome.error = sanitizedError;
+    outcome.code = code;
+    outcome.step = step;
+  } finally {
+    await login.close();
+  }
+  
+  return outcome;
+}
+
+/**
+ * What a run would do for one account, for --dry-run and --verbose
+ */
+function describeAccount(account) {
+  const retry = resolveRetryOptions(null, account.retry);
+  const timeout = account.timeoutMs ? `timeout ${Math.round(account.timeoutMs / 1000)}s` : 'no time limit';
+  const tags = account.tags && account.tags.length > 0 ? `, tags ${account.tags.join(', ')}` : '';
+  return `${account.name}: ${account.totpSecret ? 'with' : 'without'} MFA, ${timeout}, up to ${retry.attempts} attempt(s)${tags}`;
+}
+
+/**
+ * Run the developer keepalive and return the exit code
+ * Takes the same options as runStats() in scrape-stats.js.
+ */
+async function runKeepalive(options = {}) {
+  let accounts = [];
+  let config = {};
+  
+  try {
+    // Accounts come from DEVELOPER_ACCOUNTS_JSON, a config file, or both merged
+    const loaded = await loadConfig('developer', { file: options.configFile, select: options.select });
+    config = loaded.config;
+    accounts = config.accounts;
+    console.log(`Configuration loaded from ${loaded.sources.join(' + ')}`);
+  } catch (error) {
+    if (!(error instanceof ConfigError)) {
+      throw error;
+    }
+    console.error(error.message);
+    console.error('Example format:');
+    console.error('[{"name":"account1","email":"user@example.com","password":"pass","totpSecret":"SECRET"}]');
+    return 1;
   }
   
   console.log(`Configured to process ${accounts.length} developer account(s)`);
   
+  if (options.dryRun || options.verbose) {
+    accounts.forEach(account => console.log(`  ${describeAccount(account)}`));
+  }
+  if (options.dryRun) {
+    console.log('Dry run, nothing was fetched or written');
+    return 0;
+  }
+  
+  const outputDir = options.outputDir || '.';
+  await fs.mkdir(outputDir, { recursive: true });
+  
+  // Load previous keepalive results, kept next to the stats history unless `history` says otherwise
+  const historyOptions = resolveHistoryOptions(config.history, { file: 'developer-history.jsonl' });
+  let history = null;
+  if (historyOptions.enabled) {
+    try {
+      history = new HistoryStore(historyOptions);
+      await history.load();
+    } catch (error) {
+      console.error('Failed to load keepalive history, continuing without it:', error.message);
+      history = null;
+    }
+  }
+  
+  const visualOptions = resolveVisualDiffOptions();
+  const visualBaseline = visualOptions.enabled ? new VisualBaseline(visualOptions) : null;
+  
+  const runStartedAt = new Date().toISOString();
+  const runRecords = [];
+  
   // Track success and failures
   const results = {
     total: accounts.length,
     successful: 0,
     failed: 0,
-    failures: []
+    failureCodes: {},
+    retries: 0,
+    failures: [],
+    accounts: [],
+    visualChanges: []
   };
   
   // Process each account
@@ -961,33 +1125,109 @@ async function main() {
 
     console.log(`\n=== Processing ${account.name} ===`);
 
-    const login = new DeveloperAccountLogin(account);
+    const startedAt = Date.now();
+    const retry = resolveRetryOptions(null, account.retry);
+    const { outcome, attempts, failedAttempts } = await runWithRetries(() => attemptAccount(account, {
+      visualBaseline,
+      headful: options.headful,
+      outputDir,
+      verbose: options.verbose
+    }), retry, {
+      failureOf: attempt => (attempt.status === 'success' ? null : attempt),
+      logPrefix: `[${account.name}] `
+    });
     
-    try {
-      await login.init();
-      await login.login();
-      await login.navigateToInstances();
-      
-      console.log(`[${account.name}] Keepalive completed successfully`);
+    const login = outcome.login;
+    const record = {
+      key: account.name,
+      run: runStartedAt,
+      timestamp: null,
+      status: outcome.status,
+      durationMs: null,
+      loginMs: outcome.loginMs,
+      error: outcome.error,
+      errorCode: outcome.code,
+      failedStep: outcome.step,
+      attempts: attempts
+    };
+    
+    if (outcome.status === 'success') {
       results.successful++;
-      
-    } catch (error) {
-      const sanitizedError = login.sanitizeError(error);
-      console.error(`[${account.name}] Failed:`, sanitizedError);
+    } else {
       results.failed++;
+      results.failureCodes[outcome.code] = (results.failureCodes[outcome.code] || 0) + 1;
       results.failures.push({
         account: account.name,
-        error: sanitizedError
+        code: outcome.code,
+        step: outcome.step,
+        error: outcome.error,
+        attempts: attempts
       });
       // Continue with next account
-    } finally {
-      await login.close();
+    }
+    results.retries += attempts - 1;
+    
+    login.visualResults.filter(visual => visual.flagged).forEach(visual => {
+      results.visualChanges.push({
+        account: account.name,
+        step: visual.step,
+        mismatchPercent: visual.mismatchPercent,
+        thresholdPercent: visual.thresholdPercent,
+        screenshot: visual.screenshot,
+        diff: visual.diff
+      });
+    });
+    
+    record.timestamp = new Date().toISOString();
+    record.durationMs = Date.now() - startedAt;
+    record.timings = login.timings;
+    runRecords.push(record);
+    results.accounts.push({
+      account: account.name,
+      status: record.status,
+      error: record.error,
+      errorCode: record.errorCode,
+      failedStep: record.failedStep,
+      attempts: attempts,
+      failedAttempts: failedAttempts,
+      loginMs: record.loginMs,
+      durationMs: record.durationMs,
+      timings: login.timings,
+      screenshots: login.screenshotFiles
+    });
+    
+    if (history) {
+      try {
+        await history.append(record);
+      } catch (error) {
+        console.error(`[${account.name}] Failed to record history:`, error.message);
+      }
     }
   }
   
+  if (history) {
+    try {
+      await history.compact();
+    } catch (error) {
+      console.error('Failed to compact keepalive history:', error.message);
+    }
+  }
+  
+  // Export metrics for Prometheus (node_exporter textfile collector format)
+  try {
+    const metricsFile = await writeDeveloperTextfile(history ? history.records : runRecords, { dir: outputDir });
+    console.log(`Metrics saved: ${metricsFile}`);
+  } catch (error) {
+    console.error('Failed to write metrics:', error.message);
+  }
+  
   console.log('\n=== All accounts processed ===');
   console.log(`Success: ${results.successful}/${results.total}`);
   console.log(`Failed: ${results.failed}/${results.total}`);
+  if (results.retries > 0) {
+    console.log(`Retries: ${results.retries}`);
+  }
+  console.log(`Visual changes: ${results.visualChanges.length}`);
   
   // Write summary file for GitHub Actions
   const summary = {
@@ -995,26 +1235,66 @@ async function main() {
     total: results.total,
     successful: results.successful,
     failed: results.failed,
-    failures: results.failures
+    failureCodes: results.failureCodes,
+    retries: results.retries,
+    failures: results.failures,
+    visualChanges: results.visualChanges,
+    accounts: results.accounts
   };
   
-  await fs.writeFile('developer-summary.json', JSON.stringify(summary, null, 2));
+  await fs.writeFile(path.join(outputDir, 'developer-summary.json'), JSON.stringify(summary, null, 2));
+  try {
+    console.log(`Run report saved: ${await writeRunReport(outputDir, summary)}`);
+  } catch (error) {
+    console.error('Failed to write run report:', error.message);
+  }
   
-  // Exit with error code if all accounts failed
-  if (results.failed === results.total && results.total > 0) {
-    console.error('\nERROR: All accounts failed!');
-    process.exit(1);
+  const junitFile = options.junitFile || process.env.JUNIT_REPORT_FILE;
+  if (junitFile) {
+    try {
+      await writeJUnitReport(junitFile, buildKeepaliveTestSuite(summary));
+      console.log(`JUnit report saved: ${junitFile}`);
+    } catch (error) {
+      console.error('Failed to write JUnit report:', error.message);
+    }
   }
   
-  // Exit with warning code if more than 50% failed
-  if (results.failed > results.successful && results.total > 0) {
+  let exitCode = 0;
+  if (results.failed === results.total && results.total > 0) {
+    // Exit with error code if all accounts failed
+    console.error('\nERROR: All accounts failed!');
+    exitCode = 1;
+  } else if (results.failed > results.successful && results.total > 0) {
+    // Exit with warning code if more than 50% failed
     console.error(`\nWARNING: More than half of accounts failed (${results.failed}/${results.total})`);
-    process.exit(2);
+    exitCode = 2;
   }
+  
+  await sendNotifications(resolveNotificationOptions(config.notifications, { source: 'keepalive', stateDir: historyOptions.dir }), {
+    source: 'keepalive',
+    events: buildKeepaliveEvents(summary),
+    names: accounts.map(account => account.name),
+    total: results.total,
+    successful: results.successful,
+    failed: results.failed,
+    exitCode
+  });
+  
+  return exitCode;
+}
+
+// Run directly, or through the sn-pdi CLI
+if (require.main === module) {
+  runKeepalive().then(code => {
+    if (code !== 0) {
+      process.exit(code);
+    }
+  }).catch(error => {
+    console.error('Fatal error:', error);
+    process.exit(1);
+  });
 }
 
-// Run the main function
-main().catch(error => {
-  console.error('Fatal error:', error);
-  process.exit(1);
-});
+module.exports = {
+  runKeepalive
+};
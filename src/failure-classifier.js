@@ -0,0 +1,122 @@
+/**
+ * Stable failure codes for the stats scraper and the developer keepalive
+ * Error messages change with every rewording; the code is what summaries,
+ * history and alerting should group on.
+ */
+
+const FAILURE_CODES = {
+  AUTH_INVALID_CREDENTIALS: 'Username or password was rejected',
+  AUTH_FORBIDDEN: 'Logged in, but not allowed to read the page or API',
+  AUTH_SSO_REQUIRED: 'Instance requires single sign-on',
+  ACCOUNT_LOCKED: 'Account is locked or disabled',
+  MFA_REJECTED: 'MFA code was rejected',
+  MFA_SECRET_MISSING: 'MFA was requested but no TOTP secret is configured',
+  MFA_METHOD_UNAVAILABLE: 'Authenticator app option was not offered',
+  SELECTOR_NOT_FOUND: 'Expected element did not appear on the page',
+  NAV_TIMEOUT: 'Page load or request timed out',
+  NAV_ABORTED: 'Navigation was aborted or the page was replaced mid-step',
+  RUN_TIMEOUT: 'Run exceeded its overall time limit',
+  DNS_FAILURE: 'Host name could not be resolved',
+  CONNECTION_FAILED: 'Connection refused, reset or TLS failure',
+  SERVER_ERROR: 'Server answered with an HTTP 5xx error',
+  HTTP_ERROR: 'Server answered with an HTTP 4xx error',
+  UNEXPECTED_PAGE: 'Unrecognised page instead of the expected content',
+  INSTANCE_HIBERNATING: 'Instance is hibernating',
+  INSTANCE_MAINTENANCE: 'Instance is under maintenance',
+  INSTANCE_UNAVAILABLE: 'Instance is unavailable',
+  COLLECTORS_FAILED: 'No collector returned data',
+  BROWSER_ERROR: 'Browser could not be launched, crashed or was closed',
+  UNKNOWN: 'Unclassified failure'
+};
+
+// Transient failures worth another attempt; credential, MFA and configuration problems never are
+const RETRYABLE_CODES = ['NAV_TIMEOUT', 'NAV_ABORTED', 'RUN_TIMEOUT', 'CONNECTION_FAILED', 'SERVER_ERROR', 'BROWSER_ERROR'];
+
+// Instance states from the page classifier
+const STATE_CODES = {
+  hibernating: 'INSTANCE_HIBERNATING',
+  maintenance: 'INSTANCE_MAINTENANCE',
+  unavailable: 'INSTANCE_UNAVAILABLE',
+  sso: 'AUTH_SSO_REQUIRED'
+};
+
+// Messages shown on login pages after a rejected sign-in
+const LOGIN_MESSAGE_RULES = [
+  ['ACCOUNT_LOCKED', /\b(?:account|user)\b[^.]*\b(?:locked|disabled|suspended|deactivated)\b|too many (?:failed |unsuccessful )?(?:login |sign[- ]in )?attempts/i],
+  ['AUTH_INVALID_CREDENTIALS', /\b(?:user ?name|password|credentials?|email)\b[^.]*\b(?:invalid|incorrect|wrong|not recogni[sz]ed)\b|\b(?:invalid|incorrect|wrong)\b[^.]*\b(?:user ?name|password|credentials?|email)\b/i]
+];
+
+// First match wins, so the more specific rules come first
+const MESSAGE_RULES = [
+  ...LOGIN_MESSAGE_RULES,
+  ['MFA_SECRET_MISSING', /\b(?:MFA|2FA)\b.*\bno (?:TOTP secret|totpSecret)\b/i],
+  ['MFA_METHOD_UNAVAILABLE', /Authenticator App/i],
+  ['MFA_REJECTED', /\b(?:MFA|2FA)\b.*\b(?:rejected|verification failed)\b/i],
+  ['AUTH_INVALID_CREDENTIALS', /still on login page|\bHTTP 401\b/i],
+  ['AUTH_FORBIDDEN', /\bHTTP 403\b/],
+  ['AUTH_SSO_REQUIRED', /basic auth may not be accepted|single sign-on/i],
+  ['COLLECTORS_FAILED', /All collectors failed|collected no data/],
+  ['RUN_TIMEOUT', /\btimed out after \d+s\b/i],
+  // Before SELECTOR_NOT_FOUND: Puppeteer's launch error reads "Could not find Chrome (ver. ...)"
+  ['BROWSER_ERROR', /Could not find (?:Chrome|Chromium|browser)|Browser was not found|Target closed|Session closed|Protocol error|Browser (?:has )?disconnected|Failed to launch|Connection closed/i],
+  ['SELECTOR_NOT_FOUND', /Could not find (?:element|selector|[\w ]*\b(?:field|button|input)\b)|No element found for selector|Waiting for selector|failed to find element/i],
+  ['DNS_FAILURE', /ERR_NAME_NOT_RESOLVED|ENOTFOUND|EAI_AGAIN|getaddrinfo/],
+  ['NAV_TIMEOUT', /Navigation timeout|timeout of \d+ ?ms exceeded|\d+ ?ms exceeded|TimeoutError|ETIMEDOUT|ERR_TIMED_OUT/i],
+  ['CONNECTION_FAILED', /ERR_CONNECTION_|ECONNREFUSED|ECONNRESET|EHOSTUNREACH|ERR_ADDRESS_UNREACHABLE|ERR_INTERNET_DISCONNECTED|ERR_CERT_|ERR_SSL_|certificate|socket hang up|fetch failed/i],
+  ['NAV_ABORTED', /ERR_ABORTED|frame was detached|Execution context was destroyed/i],
+  ['SERVER_ERROR', /\bHTTP 5\d\d\b/],
+  ['HTTP_ERROR', /\bHTTP 4\d\d\b/],
+  ['UNEXPECTED_PAGE', /HTML page instead of JSON|Unrecognised page/i]
+];
+
+/**
+ * Error carrying a failure code, for places that already know what went wrong
+ */
+class FailureError extends Error {
+  constructor(code, message) {
+    super(message || FAILURE_CODES[code]);
+    this.name = 'FailureError';
+    this.failureCode = code;
+  }
+}
+
+function failure(code, message) {
+  return new FailureError(code, message);
+}
+
+/**
+ * Code for the error message shown on a login page, or null
+ */
+function classifyLoginMessage(text) {
+  const rule = LOGIN_MESSAGE_RULES.find(([, pattern]) => pattern.test(text || ''));
+  return rule ? rule[0] : null;
+}
+
+/**
+ * Classify an error into { code, step }
+ * `step` is where the run was when it failed (e.g. "login", "mfa", "stats").
+ */
+function classifyFailure(error, { step = null } = {}) {
+  let code = null;
+  if (error && error.failureCode && FAILURE_CODES[error.failureCode]) {
+    code = error.failureCode;
+  } else if (error && error.state && STATE_CODES[error.state]) {
+    code = STATE_CODES[error.state];
+  } else {
+    // Node network errors keep the useful part (ENOTFOUND, ...) in the code or the cause
+    const cause = error && error.cause ? `${error.cause.code || ''} ${error.cause.message || ''}` : '';
+    const text = error ? `${error.name || ''} ${error.message || error} ${error.code || ''} ${cause}` : '';
+    const rule = MESSAGE_RULES.find(([, pattern]) => pattern.test(text));
+    code = rule ? rule[0] : 'UNKNOWN';
+  }
+  return { code, step: (error && error.step) || step || null };
+}
+
+module.exports = {
+  FAILURE_CODES,
+  RETRYABLE_CODES,
+  FailureError,
+  failure,
+  classifyFailure,
+  classifyLoginMessage
+};
@@ -0,0 +1,161 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+const DEFAULT_HISTORY_DIR = 'stats-history';
+const DEFAULT_RETENTION_DAYS = 90;
+const DEFAULT_MAX_RUNS_PER_KEY = 5000;
+
+/**
+ * Append-only JSONL history of run results
+ * Each line is one record for one instance (or account) in one run.
+ * Records are grouped by `key`, which is the configured instance name.
+ */
+class HistoryStore {
+  constructor(options = {}) {
+    this.dir = options.dir || DEFAULT_HISTORY_DIR;
+    this.file = path.join(this.dir, options.file || 'stats-history.jsonl');
+    this.retentionDays = options.retentionDays !== undefined ? options.retentionDays : DEFAULT_RETENTION_DAYS;
+    this.maxRunsPerKey = options.maxRunsPerKey !== undefined ? options.maxRunsPerKey : DEFAULT_MAX_RUNS_PER_KEY;
+    this.records = [];
+    this.skippedLines = 0;
+  }
+
+  async load() {
+    this.records = [];
+    this.skippedLines = 0;
+
+    let content = '';
+    try {
+      content = await fs.readFile(this.file, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return this.records;
+      }
+      throw error;
+    }
+
+    for (const line of content.split('\n')) {
+      if (!line.trim()) {
+        continue;
+      }
+      try {
+        this.records.push(JSON.parse(line));
+      } catch (error) {
+        // A partially written line from an interrupted run, ignore it
+        this.skippedLines++;
+      }
+    }
+
+    return this.records;
+  }
+
+  keys() {
+    return [...new Set(this.records.map(record => record.key))];
+  }
+
+  history(key) {
+    return this.records.filter(record => record.key === key);
+  }
+
+  latest(key, predicate = () => true) {
+    for (let i = this.records.length - 1; i >= 0; i--) {
+      const record = this.records[i];
+      if (record.key === key && predicate(record)) {
+        return record;
+      }
+    }
+    return null;
+  }
+
+  async append(record) {
+    await fs.mkdir(this.dir, { recursive: true });
+    await fs.appendFile(this.file, JSON.stringify(record) + '\n');
+    this.records.push(record);
+    return record;
+  }
+
+  /**
+   * Apply the retention settings and rewrite the file if anything was dropped
+   * Returns the number of removed records.
+   */
+  async compact({ now = Date.now() } = {}) {
+    const cutoff = this.retentionDays > 0 ? now - this.retentionDays * 24 * 60 * 60 * 1000 : null;
+
+    let kept = this.records.filter(record => {
+      if (cutoff === null) {
+        return true;
+      }
+      const time = Date.parse(record.timestamp);
+      return Number.isNaN(time) || time >= cutoff;
+    });
+
+    if (this.maxRunsPerKey > 0) {
+      const remaining = {};
+      kept.forEach(record => {
+        remaining[record.key] = (remaining[record.key] || 0) + 1;
+      });
+      kept = kept.filter(record => {
+        if (remaining[record.key] > this.maxRunsPerKey) {
+          remaining[record.key]--;
+          return false;
+        }
+        return true;
+      });
+    }
+
+    const removed = this.records.length - kept.length;
+    if (removed === 0 && this.skippedLines === 0) {
+      return 0;
+    }
+
+    await fs.mkdir(this.dir, { recursive: true });
+    const tempFile = `${this.file}.tmp`;
+    await fs.writeFile(tempFile, kept.map(record => JSON.stringify(record)).join('\n') + (kept.length > 0 ? '\n' : ''));
+    await fs.rename(tempFile, this.file);
+
+    this.records = kept;
+    this.skippedLines = 0;
+    return removed;
+  }
+}
+
+/**
+ * Build store options from the `history` block of a config file
+ * The directory can always be overridden with the STATS_HISTORY_DIR environment variable.
+ */
+function resolveHistoryOptions(historyConfig = {}, defaults = {}) {
+  return {
+    enabled: historyConfig.enabled !== false,
+    dir: process.env.STATS_HISTORY_DIR || historyConfig.dir || DEFAULT_HISTORY_DIR,
+    file: historyConfig.file || defaults.file,
+    retentionDays: historyConfig.retentionDays,
+    maxRunsPerKey: historyConfig.maxRunsPerInstance !== undefined ? historyConfig.maxRunsPerInstance : historyConfig.maxRunsPerAccount
+  };
+}
+
+/**
+ * Reduce a parsed stats document to the metrics worth keeping in history
+ */
+function toHistoryMetrics(document) {
+  if (!document) {
+    return null;
+  }
+  return {
+    build: document.build,
+    node: document.node,
+    uptime: document.uptime,
+    memory: document.memory,
+    semaphores: document.semaphores,
+    scheduler: document.scheduler
+      ? { workerCount: document.scheduler.workerCount, queueLength: document.scheduler.queueLength }
+      : null,
+    transactions: document.transactions ? document.transactions.counters : null,
+    cluster: document.cluster || null
+  };
+}
+
+module.exports = {
+  HistoryStore,
+  resolveHistoryOptions,
+  toHistoryMetrics
+};
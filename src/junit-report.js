@@ -0,0 +1,217 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+
+/**
+ * JUnit XML reports of stats and keepalive runs
+ *
+ * Each instance or account is a test case. Step timings are written as test
+ * case properties (`timings.<step>.<field>`, as in alert rules) and listed in
+ * the case's output, a failure carries the sanitized error with its failure
+ * code as the type, and screenshots are referenced as [[ATTACHMENT|file]]
+ * lines, which Jenkins and GitLab show next to the test case. File paths are
+ * relative to the report, so they stay valid inside the artifact.
+ */
+
+const SUITE_NAMES = {
+  stats: 'PDI stats monitor',
+  keepalive: 'Developer keepalive'
+};
+
+function escapeXml(value) {
+  return String(value)
+    // Control characters are not allowed in XML 1.0, even escaped
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function seconds(ms) {
+  return typeof ms === 'number' ? (ms / 1000).toFixed(3) : '0.000';
+}
+
+function timingProperties(timings) {
+  const properties = [];
+  Object.entries(timings || {}).forEach(([step, timing]) => {
+    Object.entries(timing || {}).forEach(([field, value]) => {
+      if (typeof value === 'number') {
+        properties.push([`timings.${step}.${field}`, value]);
+      }
+    });
+  });
+  return properties;
+}
+
+function describeTimings(timings) {
+  return Object.entries(timings || {}).map(([step, timing]) => {
+    const details = [
+      typeof timing.ttfbMs === 'number' ? `ttfb ${timing.ttfbMs} ms` : null,
+      typeof timing.loadMs === 'number' ? `load ${timing.loadMs} ms` : null
+    ].filter(Boolean);
+    const duration = typeof timing.durationMs === 'number' ? `${timing.durationMs} ms` : 'n/a';
+    return `  ${step}: ${duration}${details.length > 0 ? ` (${details.join(', ')})` : ''}`;
+  });
+}
+
+// Only worth listing when there were retries, a single failure is already in <failure>
+function describeAttempts(entry) {
+  if ((entry.attempts || 1) <= 1 && entry.status !== 'success') {
+    return [];
+  }
+  return (entry.failedAttempts || []).map(attempt => `  Attempt ${attempt.attempt}: ${attempt.code} at ${attempt.step || 'start'}: ${attempt.error}`);
+}
+
+/**
+ * Turn a stats-summary.json into a test suite
+ * `countHibernating: false` reports hibernating instances as skipped, as they are left out of the exit code.
+ */
+function buildStatsTestSuite(summary, { countHibernating = true } = {}) {
+  const alertsByInstance = {};
+  (summary.alerts || []).forEach(alert => {
+    (alertsByInstance[alert.instance] = alertsByInstance[alert.instance] || []).push(alert);
+  });
+
+  const cases = (summary.instances || []).map(entry => {
+    const skipped = entry.status === 'hibernating' && !countHibernating;
+    const failed = entry.status !== 'success' && !skipped;
+    const output = [
+      `Status: ${entry.status} (${entry.attempts || 1} attempt(s), ${entry.mode || 'browser'} mode)`,
+      ...describeAttempts(entry)
+    ];
+    const steps = describeTimings(entry.timings);
+    if (steps.length > 0) {
+      output.push('Steps:', ...steps);
+    }
+    (entry.collectors || []).forEach(collector => {
+      output.push(`Collector ${collector.name}: ${collector.status}${collector.error ? ` [${collector.code}] ${collector.error}` : ''}`);
+    });
+    (entry.probes || []).forEach(probe => {
+      const failedChecks = probe.assertions.filter(assertion => !assertion.passed).map(assertion => assertion.check);
+      output.push(`Probe ${probe.name}: ${probe.passed ? 'passed' : `failed - ${probe.error || failedChecks.join('; ')}`}`);
+    });
+    (alertsByInstance[entry.instance] || []).forEach(alert => {
+      output.push(`Alert [${alert.severity}] ${alert.rule}: ${alert.message}`);
+    });
+
+    return {
+      name: entry.instance,
+      durationMs: entry.durationMs,
+      properties: [
+        ['status', entry.status],
+        ['mode', entry.mode || 'browser'],
+        ['attempts', entry.attempts || 1],
+        ...(typeof entry.loginMs === 'number' ? [['loginMs', entry.loginMs]] : []),
+        ...timingProperties(entry.timings),
+        ...(entry.probes || []).map(probe => [`probes.${probe.name}.passed`, probe.passed])
+      ],
+      failure: failed ? { code: entry.errorCode, step: entry.failedStep, error: entry.error } : null,
+      skipped: skipped ? `${entry.instance} is hibernating` : null,
+      output,
+      attachments: [
+        ...(entry.collectors || []).map(collector => collector.files && collector.files.screenshot),
+        ...(entry.probes || []).map(probe => probe.screenshot)
+      ].filter(Boolean)
+    };
+  });
+
+  return { source: 'stats', timestamp: summary.timestamp, cases };
+}
+
+/**
+ * Turn a developer-summary.json into a test suite
+ */
+function buildKeepaliveTestSuite(summary) {
+  const cases = (summary.accounts || []).map(entry => {
+    const output = [
+      `Status: ${entry.status} (${entry.attempts || 1} attempt(s))`,
+      ...describeAttempts(entry)
+    ];
+    const steps = describeTimings(entry.timings);
+    if (steps.length > 0) {
+      output.push('Steps:', ...steps);
+    }
+
+    return {
+      name: entry.account,
+      durationMs: entry.durationMs,
+      properties: [
+        ['status', entry.status],
+        ['attempts', entry.attempts || 1],
+        ...(typeof entry.loginMs === 'number' ? [['loginMs', entry.loginMs]] : []),
+        ...timingProperties(entry.timings)
+      ],
+      failure: entry.status !== 'success' ? { code: entry.errorCode, step: entry.failedStep, error: entry.error } : null,
+      skipped: null,
+      output,
+      attachments: entry.screenshots || []
+    };
+  });
+
+  return { source: 'keepalive', timestamp: summary.timestamp, cases };
+}
+
+/**
+ * Render a test suite as JUnit XML
+ * Attachment paths are made relative to `baseDir`, the directory the report is written to.
+ */
+function renderJUnit(suite, { baseDir = '.' } = {}) {
+  const suiteName = SUITE_NAMES[suite.source] || suite.source;
+  const className = `sn-pdi.${suite.source}`;
+  const failures = suite.cases.filter(testCase => testCase.failure).length;
+  const skipped = suite.cases.filter(testCase => testCase.skipped).length;
+  const totalMs = suite.cases.reduce((total, testCase) => total + (testCase.durationMs || 0), 0);
+
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites name="${escapeXml(suiteName)}" tests="${suite.cases.length}" failures="${failures}" errors="0" skipped="${skipped}" time="${seconds(totalMs)}">`,
+    `  <testsuite name="${escapeXml(suiteName)}" tests="${suite.cases.length}" failures="${failures}" errors="0" skipped="${skipped}" time="${seconds(totalMs)}" timestamp="${escapeXml(suite.timestamp || new Date().toISOString())}" hostname="${escapeXml(os.hostname())}">`
+  ];
+
+  suite.cases.forEach(testCase => {
+    lines.push(`    <testcase name="${escapeXml(testCase.name)}" classname="${escapeXml(className)}" time="${seconds(testCase.durationMs)}">`);
+    if (testCase.properties.length > 0) {
+      lines.push('      <properties>');
+      testCase.properties.forEach(([name, value]) => {
+        lines.push(`        <property name="${escapeXml(name)}" value="${escapeXml(value)}"/>`);
+      });
+      lines.push('      </properties>');
+    }
+    if (testCase.failure) {
+      const code = testCase.failure.code || 'UNKNOWN';
+      const details = [`Code: ${code}`, `Step: ${testCase.failure.step || 'start'}`, `Error: ${testCase.failure.error}`];
+      lines.push(`      <failure message="${escapeXml(testCase.failure.error || code)}" type="${escapeXml(code)}">${escapeXml(details.join('\n'))}</failure>`);
+    }
+    if (testCase.skipped) {
+      lines.push(`      <skipped message="${escapeXml(testCase.skipped)}"/>`);
+    }
+    const attachments = testCase.attachments.map(file => `[[ATTACHMENT|${path.relative(baseDir, file).split(path.sep).join('/')}]]`);
+    const output = [...testCase.output, ...attachments];
+    if (output.length > 0) {
+      lines.push(`      <system-out>${escapeXml(output.join('\n'))}</system-out>`);
+    }
+    lines.push('    </testcase>');
+  });
+
+  lines.push('  </testsuite>', '</testsuites>');
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Write a test suite to `file` as JUnit XML, replacing it atomically
+ */
+async function writeJUnitReport(file, suite) {
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  const tempFile = `${file}.${process.pid}.tmp`;
+  await fs.writeFile(tempFile, renderJUnit(suite, { baseDir: path.dirname(file) }));
+  await fs.rename(tempFile, file);
+  return file;
+}
+
+module.exports = {
+  buildStatsTestSuite,
+  buildKeepaliveTestSuite,
+  renderJUnit,
+  writeJUnitReport
+};
@@ -0,0 +1,111 @@
+const { generateTOTP } = require('./totp-handler');
+
+/**
+ * Login settings for monitored instances
+ *
+ * "form" (default) uses the native ServiceNow login form and, when the
+ * instance asks for it, a TOTP code for ServiceNow multi-factor authentication.
+ * "sso" starts a SAML/SSO login and fills the identity provider's pages
+ * using the configured selectors.
+ */
+
+const LOGIN_METHODS = ['form', 'sso'];
+
+const DEFAULT_FORM_SELECTORS = {
+  username: '#user_name',
+  password: '#user_password',
+  submit: '#sysverb_login',
+  mfaCode: '#txtResponse',
+  mfaSubmit: '#submitResponse'
+};
+
+const DEFAULT_SSO_PATH = '/login_with_sso.do';
+
+// Pages that mean we have not made it into the instance yet
+const LOGIN_PATHS = ['/login.do', '/login_redirect.do', '/validate_multifactor_auth_code.do'];
+const MFA_PATH = '/validate_multifactor_auth_code.do';
+
+/**
+ * Merge an instance's `login` block and `totpSecret` with the defaults
+ */
+function resolveLoginOptions(instance = {}) {
+  const login = instance.login || {};
+  const method = login.method || 'form';
+  return {
+    method,
+    ssoPath: login.ssoPath || DEFAULT_SSO_PATH,
+    selectors: method === 'sso'
+      ? { ...(login.selectors || {}) }
+      : { ...DEFAULT_FORM_SELECTORS, ...(login.selectors || {}) },
+    totpSecret: instance.totpSecret || null
+  };
+}
+
+/**
+ * Validate the login settings of one instance, returning a list of problems
+ */
+function validateLoginOptions(instance, label) {
+  const problems = [];
+  const login = instance.login;
+
+  if (login !== undefined) {
+    if (!login || typeof login !== 'object' || Array.isArray(login)) {
+      return [`${label}.login must be an object`];
+    }
+    const method = login.method || 'form';
+    if (!LOGIN_METHODS.includes(method)) {
+      problems.push(`${label}.login.method must be one of ${LOGIN_METHODS.join(', ')}`);
+    }
+    if (login.selectors !== undefined && (typeof login.selectors !== 'object' || Array.isArray(login.selectors))) {
+      problems.push(`${label}.login.selectors must be an object of CSS selectors`);
+    }
+    if (method === 'sso') {
+      const selectors = login.selectors || {};
+      ['username', 'password', 'submit'].forEach(key => {
+        if (!selectors[key]) {
+          problems.push(`${label}.login.selectors.${key} is required for SSO login`);
+        }
+      });
+      if (selectors.totp && !instance.totpSecret) {
+        problems.push(`${label}.login.selectors.totp is set but the instance has no totpSecret`);
+      }
+      if ((instance.mode || 'browser') !== 'browser') {
+        problems.push(`${label}.login.method "sso" needs browser mode`);
+      }
+    }
+    if (login.ssoPath !== undefined && !String(login.ssoPath).startsWith('/')) {
+      problems.push(`${label}.login.ssoPath must start with /`);
+    }
+  }
+
+  if (instance.totpSecret !== undefined) {
+    try {
+      generateTOTP(instance.totpSecret);
+    } catch (error) {
+      problems.push(`${label}.totpSecret is not a valid base32 secret`);
+    }
+  }
+
+  return problems;
+}
+
+/**
+ * Generate a TOTP code, waiting for the next period if the current one is about to expire
+ */
+async function freshTOTP(secret, { period = 30, minRemainingMs = 3000 } = {}) {
+  const remainingMs = period * 1000 - (Date.now() % (period * 1000));
+  if (remainingMs < minRemainingMs) {
+    await new Promise(resolve => setTimeout(resolve, remainingMs + 100));
+  }
+  return generateTOTP(secret, { period });
+}
+
+module.exports = {
+  LOGIN_METHODS,
+  LOGIN_PATHS,
+  MFA_PATH,
+  DEFAULT_FORM_SELECTORS,
+  resolveLoginOptions,
+  validateLoginOptions,
+  freshTOTP
+};
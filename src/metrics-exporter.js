@@ -0,0 +1,337 @@
+const fs = require('fs').promises;
+const http = require('http');
+const path = require('path');
+const { HistoryStore, resolveHistoryOptions } = require('./history-store');
+const { readConfig } = require('./config-loader');
+const { resolveRedactionOptions } = require('./redaction');
+
+/**
+ * OpenMetrics export of stats and keepalive results
+ *
+ * Metrics are built from the run history, so the same text can be written as
+ * a node_exporter textfile after every run or served over HTTP on demand.
+ *
+ * Usage:
+ *   node src/metrics-exporter.js                      Write the .prom files from the history
+ *   node src/metrics-exporter.js --serve [--port n]   Serve /metrics over HTTP
+ */
+
+const CONTENT_TYPE = 'application/openmetrics-text; version=1.0.0; charset=utf-8';
+const DEFAULT_PORT = 9464;
+const STATS_TEXTFILE = 'servicenow-stats.prom';
+const DEVELOPER_TEXTFILE = 'servicenow-developer.prom';
+
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function sanitizeLabelName(name) {
+  return String(name).toLowerCase().replace(/[^a-z0-9_]+/g, '_').replace(/^_+|_+$/g, '') || 'value';
+}
+
+/**
+ * Collects gauge samples grouped by metric family
+ */
+class MetricSet {
+  constructor() {
+    this.families = new Map();
+  }
+
+  gauge(name, help, labels, value) {
+    if (typeof value !== 'number' || Number.isNaN(value)) {
+      return;
+    }
+    if (!this.families.has(name)) {
+      this.families.set(name, { help, samples: [] });
+    }
+    this.families.get(name).samples.push({ labels, value });
+  }
+
+  render({ eof = true } = {}) {
+    const lines = [];
+    for (const [name, family] of this.families) {
+      lines.push(`# TYPE ${name} gauge`);
+      lines.push(`# HELP ${name} ${family.help}`);
+      for (const sample of family.samples) {
+        const labels = Object.entries(sample.labels)
+          .filter(([, value]) => value !== null && value !== undefined)
+          .map(([key, value]) => `${key}="${escapeLabelValue(value)}"`)
+          .join(',');
+        lines.push(`${name}${labels ? `{${labels}}` : ''} ${sample.value}`);
+      }
+    }
+    if (eof) {
+      lines.push('# EOF');
+    }
+    return lines.join('\n') + '\n';
+  }
+}
+
+function toSeconds(timestamp) {
+  const time = Date.parse(timestamp);
+  return Number.isNaN(time) ? null : time / 1000;
+}
+
+/**
+ * Run statistics for one key from its ordered history records
+ */
+function summarizeRecords(records) {
+  const latest = records[records.length - 1];
+  let lastSuccess = null;
+  let consecutiveFailures = 0;
+  for (let i = records.length - 1; i >= 0; i--) {
+    if (records[i].status === 'success') {
+      lastSuccess = records[i];
+      break;
+    }
+    consecutiveFailures++;
+  }
+  return {
+    latest,
+    lastSuccess,
+    consecutiveFailures,
+    failures: records.filter(record => record.status !== 'success').length,
+    runs: records.length
+  };
+}
+
+function groupByKey(records) {
+  const groups = new Map();
+  records.forEach(record => {
+    if (!groups.has(record.key)) {
+      groups.set(record.key, []);
+    }
+    groups.get(record.key).push(record);
+  });
+  return groups;
+}
+
+function addStatsDocumentMetrics(metrics, labels, stats, { nodeIds = true } = {}) {
+  const mb = value => (typeof value === 'number' ? value * 1024 * 1024 : null);
+
+  if (stats.build) {
+    metrics.gauge('servicenow_build_info', 'Build of the instance from stats.do', {
+      ...labels,
+      build_name: stats.build.name || '',
+      build_tag: stats.build.tag || '',
+      build_date: stats.build.date || ''
+    }, 1);
+  }
+  if (nodeIds && stats.node && stats.node.id) {
+    metrics.gauge('servicenow_node_info', 'Node that served stats.do', { ...labels, node_id: stats.node.id }, 1);
+  }
+  if (stats.uptime) {
+    metrics.gauge('servicenow_uptime_seconds', 'Servlet uptime reported by stats.do', labels, stats.uptime.seconds);
+  }
+  if (stats.memory) {
+    metrics.gauge('servicenow_jvm_memory_max_bytes', 'Maximum JVM memory', labels, mb(stats.memory.maxMb));
+    metrics.gauge('servicenow_jvm_memory_allocated_bytes', 'Allocated JVM memory', labels, mb(stats.memory.allocatedMb));
+    metrics.gauge('servicenow_jvm_memory_used_bytes', 'JVM memory in use', labels, mb(stats.memory.inUseMb));
+    metrics.gauge('servicenow_jvm_memory_free_bytes', 'Free JVM memory', labels, mb(stats.memory.freeMb));
+    metrics.gauge('servicenow_jvm_memory_free_ratio', 'Free JVM memory as a ratio of the maximum', labels,
+      typeof stats.memory.freePercent === 'number' ? stats.memory.freePercent / 100 : null);
+  }
+  (stats.semaphores || []).forEach(set => {
+    const setLabels = { ...labels, set: set.name };
+    metrics.gauge('servicenow_semaphore_available', 'Available semaphores in the set', setLabels, set.available);
+    metrics.gauge('servicenow_semaphore_in_use', 'Semaphores in use in the set', setLabels, set.inUse);
+    metrics.gauge('servicenow_semaphore_queued', 'Requests queued for the set', setLabels, set.queued);
+    metrics.gauge('servicenow_semaphore_max_queue_depth', 'Maximum queue depth of the set', setLabels, set.maxQueueDepth);
+  });
+  if (stats.scheduler) {
+    metrics.gauge('servicenow_scheduler_workers', 'Scheduler worker count', labels, stats.scheduler.workerCount);
+    metrics.gauge('servicenow_scheduler_queue_length', 'Scheduler queue length', labels, stats.scheduler.queueLength);
+  }
+  Object.entries(stats.transactions || {}).forEach(([name, value]) => {
+    metrics.gauge('servicenow_transaction_counter', 'Transaction and servlet counters from stats.do', {
+      ...labels,
+      counter: sanitizeLabelName(name)
+    }, value);
+  });
+  if (stats.cluster) {
+    metrics.gauge('servicenow_cluster_nodes', 'Cluster node count reported by stats.do', labels, stats.cluster.nodeCount);
+  }
+}
+
+/**
+ * True when the instance's node id may be exported, i.e. node ids are not redacted for it
+ * The .prom file is uploaded with the artifact, so the node id follows the `redaction` settings.
+ */
+function exportsNodeId(config, key) {
+  const instance = (config.instances || []).find(entry => entry.name === key) || {};
+  const redaction = resolveRedactionOptions(config.redaction, instance.redaction);
+  return !redaction.enabled || !redaction.nodeIds;
+}
+
+/**
+ * Build metrics for stats.do probes from the stats history
+ * `config` is the stats configuration, for its redaction settings.
+ */
+function buildStatsMetrics(records, metrics = new MetricSet(), { config = {} } = {}) {
+  for (const [key, keyRecords] of groupByKey(records)) {
+    const labels = { instance_name: key };
+    const summary = summarizeRecords(keyRecords);
+
+    metrics.gauge('servicenow_probe_success', 'Whether the latest probe succeeded', labels, summary.latest.status === 'success' ? 1 : 0);
+    metrics.gauge('servicenow_instance_hibernating', 'Whether the latest probe found the instance hibernating', labels, summary.latest.status === 'hibernating' ? 1 : 0);
+    metrics.gauge('servicenow_probe_timestamp_seconds', 'Time of the latest probe', labels, toSeconds(summary.latest.timestamp));
+    metrics.gauge('servicenow_probe_duration_seconds', 'Duration of the latest probe', labels,
+      typeof summary.latest.durationMs === 'number' ? summary.latest.durationMs / 1000 : null);
+    metrics.gauge('servicenow_probe_failures', 'Failed probes in the retained history', labels, summary.failures);
+    metrics.gauge('servicenow_probe_runs', 'Probes in the retained history', labels, summary.runs);
+    metrics.gauge('servicenow_probe_consecutive_failures', 'Failed probes since the last success', labels, summary.consecutiveFailures);
+
+    if (summary.lastSuccess) {
+      const success = summary.lastSuccess;
+      metrics.gauge('servicenow_last_success_timestamp_seconds', 'Time of the last successful probe', labels, toSeconds(success.timestamp));
+      metrics.gauge('servicenow_login_duration_seconds', 'Login duration of the last successful probe', labels,
+        typeof success.loginMs === 'number' ? success.loginMs / 1000 : null);
+      metrics.gauge('servicenow_stats_page_load_seconds', 'stats.do load time of the last successful probe', labels,
+        typeof success.pageLoadMs === 'number' ? success.pageLoadMs / 1000 : null);
+      if (success.metrics) {
+        addStatsDocumentMetrics(metrics, labels, success.metrics, { nodeIds: exportsNodeId(config, key) });
+      }
+    }
+  }
+  return metrics;
+}
+
+/**
+ * Build metrics for developer account keepalives from the developer history
+ */
+function buildDeveloperMetrics(records, metrics = new MetricSet()) {
+  for (const [key, keyRecords] of groupByKey(records)) {
+    const labels = { account: key };
+    const summary = summarizeRecords(keyRecords);
+
+    metrics.gauge('servicenow_keepalive_success', 'Whether the latest keepalive succeeded', labels, summary.latest.status === 'success' ? 1 : 0);
+    metrics.gauge('servicenow_keepalive_timestamp_seconds', 'Time of the latest keepalive', labels, toSeconds(summary.latest.timestamp));
+    metrics.gauge('servicenow_keepalive_duration_seconds', 'Duration of the latest keepalive', labels,
+      typeof summary.latest.durationMs === 'number' ? summary.latest.durationMs / 1000 : null);
+    metrics.gauge('servicenow_keepalive_failures', 'Failed keepalives in the retained history', labels, summary.failures);
+    metrics.gauge('servicenow_keepalive_runs', 'Keepalives in the retained history', labels, summary.runs);
+    metrics.gauge('servicenow_keepalive_consecutive_failures', 'Failed keepalives since the last success', labels, summary.consecutiveFailures);
+
+    if (summary.lastSuccess) {
+      metrics.gauge('servicenow_keepalive_last_success_timestamp_seconds', 'Time of the last successful keepalive', labels,
+        toSeconds(summary.lastSuccess.timestamp));
+      metrics.gauge('servicenow_keepalive_login_duration_seconds', 'Login duration of the last successful keepalive', labels,
+        typeof summary.lastSuccess.loginMs === 'number' ? summary.lastSuccess.loginMs / 1000 : null);
+    }
+  }
+  return metrics;
+}
+
+/**
+ * Write a textfile atomically so node_exporter never reads half a file
+ */
+async function writeTextfile(file, content) {
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  const tempFile = `${file}.${process.pid}.tmp`;
+  await fs.writeFile(tempFile, content);
+  await fs.rename(tempFile, file);
+  return file;
+}
+
+// METRICS_TEXTFILE_DIR wins over the run's output directory
+function textfilePath(fileName, dir) {
+  return path.join(process.env.METRICS_TEXTFILE_DIR || dir || '.', fileName);
+}
+
+async function writeStatsTextfile(records, { config = {}, dir } = {}) {
+  return writeTextfile(textfilePath(STATS_TEXTFILE, dir), buildStatsMetrics(records, new MetricSet(), { config }).render());
+}
+
+async function writeDeveloperTextfile(records, { dir } = {}) {
+  return writeTextfile(textfilePath(DEVELOPER_TEXTFILE, dir), buildDeveloperMetrics(records).render());
+}
+
+async function loadHistories() {
+  let config = {};
+  try {
+    // Never prompt for a passphrase here, this also runs for every /metrics request
+    config = (await readConfig('stats', { argv: [], interactive: false })).config;
+  } catch (error) {
+    // Fall back to the default history location
+  }
+  const historyConfig = config.history || {};
+  const stats = new HistoryStore(resolveHistoryOptions(historyConfig));
+  const developer = new HistoryStore(resolveHistoryOptions(historyConfig, { file: 'developer-history.jsonl' }));
+  await Promise.all([stats.load(), developer.load()]);
+  return { config, stats: stats.records, developer: developer.records };
+}
+
+async function renderAll() {
+  const histories = await loadHistories();
+  const metrics = new MetricSet();
+  buildStatsMetrics(histories.stats, metrics, { config: histories.config });
+  buildDeveloperMetrics(histories.developer, metrics);
+  return metrics.render();
+}
+
+function serve({ port = DEFAULT_PORT, host = '127.0.0.1' } = {}) {
+  const server = http.createServer(async (req, res) => {
+    if (req.method !== 'GET' || req.url.split('?')[0] !== '/metrics') {
+      res.writeHead(404, { 'Content-Type': 'text/plain' });
+      res.end('Not found. Metrics are served at /metrics\n');
+      return;
+    }
+    try {
+      const body = await renderAll();
+      res.writeHead(200, { 'Content-Type': CONTENT_TYPE });
+      res.end(body);
+    } catch (error) {
+      console.error('Failed to render metrics:', error.message);
+      res.writeHead(500, { 'Content-Type': 'text/plain' });
+      res.end('Failed to render metrics\n');
+    }
+  });
+  server.listen(port, host, () => {
+    console.log(`Serving metrics on http://${host}:${port}/metrics`);
+  });
+  return server;
+}
+
+function parseArgs(argv) {
+  const args = { serve: false, port: DEFAULT_PORT, host: '127.0.0.1' };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--serve') {
+      args.serve = true;
+    } else if (arg === '--port') {
+      args.port = parseInt(argv[++i], 10);
+    } else if (arg === '--host') {
+      args.host = argv[++i];
+    } else {
+      throw new Error(`Unknown argument: ${arg}`);
+    }
+  }
+  return args;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (args.serve) {
+    serve(args);
+    return;
+  }
+  const histories = await loadHistories();
+  console.log(`Metrics written: ${await writeStatsTextfile(histories.stats, { config: histories.config })}`);
+  console.log(`Metrics written: ${await writeDeveloperTextfile(histories.developer)}`);
+}
+
+if (require.main === module) {
+  main().catch(error => {
+    console.error('Fatal error:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  MetricSet,
+  buildStatsMetrics,
+  buildDeveloperMetrics,
+  writeStatsTextfile,
+  writeDeveloperTextfile,
+  serve
+};
@@ -0,0 +1,469 @@
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const nodemailer = require('nodemailer');
+const { SEVERITIES, meetsSeverity } = require('./alert-rules');
+
+/**
+ * Notifications sent when a stats or keepalive run finishes
+ *
+ * Each run is turned into events (failures, alert rules, upgrades, visual
+ * changes). Every channel receives the events that meet its `minSeverity`, as
+ * one message. What a channel was sent is tracked per channel: an event it
+ * already received is held back until `repeatMinutes` have passed, so a
+ * persistent outage does not page on every run, and a "resolved" event is sent
+ * once the instance or account succeeds again. A channel that could not be
+ * reached keeps its previous state and gets the events again next run.
+ */
+
+const CHANNEL_TYPES = ['webhook', 'slack', 'teams', 'email'];
+const DEFAULT_REPEAT_MINUTES = 6 * 60;
+const DEFAULT_MIN_SEVERITY = 'warning';
+const REQUEST_TIMEOUT_MS = 10000;
+const STATE_VERSION = 2;
+
+const SOURCE_LABELS = {
+  stats: 'PDI stats monitor',
+  keepalive: 'Developer keepalive'
+};
+
+const DEFAULT_TEMPLATE = {
+  title: '{{sourceLabel}}: {{count}} notification(s)',
+  text: '{{#events}}[{{label}}] {{title}}{{#message}} - {{message}}{{/message}}\n{{/events}}{{#runUrl}}\nRun: {{runUrl}}{{/runUrl}}'
+};
+
+const TEAMS_COLORS = { info: '2E77D0', warning: 'FFA500', critical: 'D92D20', resolved: '2EB67D' };
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Validate a `notifications` block, returning a list of problems
+ */
+function validateNotifications(notifications, label) {
+  if (notifications === undefined) {
+    return [];
+  }
+  if (!isPlainObject(notifications)) {
+    return [`${label} must be an object`];
+  }
+
+  const problems = [];
+  if (notifications.repeatMinutes !== undefined && (typeof notifications.repeatMinutes !== 'number' || notifications.repeatMinutes < 0)) {
+    problems.push(`${label}.repeatMinutes must be a number of minutes`);
+  }
+  if (!Array.isArray(notifications.channels)) {
+    return [...problems, `${label}.channels must be an array`];
+  }
+  notifications.channels.forEach((channel, index) => {
+    const channelLabel = `${label}.channels[${index}]`;
+    if (!isPlainObject(channel)) {
+      problems.push(`${channelLabel} must be an object`);
+      return;
+    }
+    if (!CHANNEL_TYPES.includes(channel.type)) {
+      problems.push(`${channelLabel}.type must be one of ${CHANNEL_TYPES.join(', ')}`);
+      return;
+    }
+    if (channel.minSeverity !== undefined && !SEVERITIES.includes(channel.minSeverity)) {
+      problems.push(`${channelLabel}.minSeverity must be one of ${SEVERITIES.join(', ')}`);
+    }
+    if (channel.template !== undefined && typeof channel.template !== 'string' && !isPlainObject(channel.template)) {
+      problems.push(`${channelLabel}.template must be a string or { title, text }`);
+    }
+    if (channel.type === 'email') {
+      if (!isPlainObject(channel.smtp) || !channel.smtp.host) {
+        problems.push(`${channelLabel}.smtp.host is required`);
+      }
+      if (!channel.from) {
+        problems.push(`${channelLabel}.from is required`);
+      }
+      if (!channel.to || (Array.isArray(channel.to) && channel.to.length === 0)) {
+        problems.push(`${channelLabel}.to is required`);
+      }
+    } else if (typeof channel.url !== 'string' || !/^https?:\/\//.test(channel.url)) {
+      problems.push(`${channelLabel}.url must be an http(s) URL`);
+    }
+  });
+  return problems;
+}
+
+/**
+ * Turn a stats-summary.json into notification events
+ */
+function buildStatsEvents(summary) {
+  const events = [];
+  (summary.failures || []).forEach(failure => {
+    events.push({
+      id: `stats:${failure.instance}:failure`,
+      kind: 'failure',
+      // Hibernation and maintenance are expected now and then, so they are only warnings
+      severity: failure.status === 'failed' ? 'critical' : 'warning',
+      name: failure.instance,
+      title: `${failure.instance} ${failure.status === 'failed' ? 'failed' : `is ${failure.status}`} [${failure.code} at ${failure.step || 'start'}]`,
+      message: failure.error,
+      code: failure.code,
+      ongoing: true
+    });
+  });
+  (summary.alerts || []).forEach(alert => {
+    events.push({
+      id: `stats:${alert.instance}:alert:${alert.rule}`,
+      kind: 'alert',
+      severity: alert.severity,
+      name: alert.instance,
+      title: `${alert.instance} alert ${alert.rule}`,
+      message: alert.message,
+      ongoing: true
+    });
+  });
+  (summary.changeEvents || []).forEach(change => {
+    events.push({
+      id: `stats:${change.instance}:change:${change.type}:${change.after}`,
+      kind: 'change',
+      severity: 'info',
+      name: change.instance,
+      title: `${change.instance} ${change.type}`,
+      message: change.message,
+      ongoing: false
+    });
+  });
+  (summary.visualChanges || []).forEach(visual => {
+    events.push({
+      id: `stats:${visual.instance}:visual:${visual.collector || visual.step || 'page'}`,
+      kind: 'visual',
+      severity: 'info',
+      name: visual.instance,
+      title: `${visual.instance} page looks different`,
+      message: `${visual.mismatchPercent}% of pixels changed`,
+      ongoing: false
+    });
+  });
+  return events;
+}
+
+/**
+ * Turn a developer-summary.json into notification events
+ */
+function buildKeepaliveEvents(summary) {
+  const events = (summary.failures || []).map(failure => ({
+    id: `keepalive:${failure.account}:failure`,
+    kind: 'failure',
+    severity: 'critical',
+    name: failure.account,
+    title: `${failure.account} login failed [${failure.code} at ${failure.step || 'start'}]`,
+    message: failure.error,
+    code: failure.code,
+    ongoing: true
+  }));
+  (summary.visualChanges || []).forEach(visual => {
+    events.push({
+      id: `keepalive:${visual.account}:visual:${visual.step}`,
+      kind: 'visual',
+      severity: 'info',
+      name: visual.account,
+      title: `${visual.account} ${visual.step} page looks different`,
+      message: `${visual.mismatchPercent}% of pixels changed`,
+      ongoing: false
+    });
+  });
+  return events;
+}
+
+/**
+ * Hold back events sent within the repeat window and add "resolved" events
+ * `state` is what one channel was sent. `names` are the instances or accounts
+ * this run covered; open events of anything else (e.g. left out with --only)
+ * stay open.
+ * Returns { due, suppressed, state } without changing the given state.
+ */
+function deduplicateEvents(events, state, { names, now = Date.now(), repeatMinutes = DEFAULT_REPEAT_MINUTES }) {
+  const previous = (state && state.events) || {};
+  const next = {};
+  const due = [];
+  let suppressed = 0;
+  const repeatMs = repeatMinutes * 60 * 1000;
+
+  events.forEach(event => {
+    const sent = previous[event.id];
+    const escalated = sent && SEVERITIES.indexOf(event.severity) > SEVERITIES.indexOf(sent.severity);
+    if (sent && !escalated && now - Date.parse(sent.lastSent) < repeatMs) {
+      suppressed++;
+      next[event.id] = sent;
+      return;
+    }
+    due.push(event);
+    next[event.id] = {
+      firstSeen: sent ? sent.firstSeen : new Date(now).toISOString(),
+      lastSent: new Date(now).toISOString(),
+      severity: event.severity,
+      name: event.name,
+      title: event.title,
+      ongoing: event.ongoing
+    };
+  });
+
+  Object.entries(previous).forEach(([id, sent]) => {
+    if (next[id]) {
+      return;
+    }
+    if (sent.ongoing && names.includes(sent.name)) {
+      due.push({
+        id,
+        kind: 'resolved',
+        severity: sent.severity,
+        name: sent.name,
+        title: sent.title,
+        message: `since ${sent.firstSeen}`,
+        ongoing: false
+      });
+    } else if (sent.ongoing || now - Date.parse(sent.lastSent) < repeatMs) {
+      // Still open for an instance this run did not cover, or a one-off event still inside its window
+      next[id] = sent;
+    }
+  });
+
+  return { due, suppressed, state: { events: next } };
+}
+
+function lookup(context, key) {
+  if (key === '.') {
+    return context['.'];
+  }
+  return key.split('.').reduce((value, part) => (value === null || value === undefined ? undefined : value[part]), context);
+}
+
+/**
+ * Render a template: {{path}} inserts a value, {{#path}}...{{/path}} repeats for
+ * each item of a list, or renders once when the value is set.
+ */
+function renderTemplate(template, context) {
+  const withSections = template.replace(/\{\{#([\w.]+)\}\}([\s\S]*?)\{\{\/\1\}\}/g, (match, key, inner) => {
+    const value = lookup(context, key);
+    if (Array.isArray(value)) {
+      return value.map(item => renderTemplate(inner, { ...context, ...(isPlainObject(item) ? item : { '.': item }) })).join('');
+    }
+    return value ? renderTemplate(inner, context) : '';
+  });
+  return withSections.replace(/\{\{([\w.]+)\}\}/g, (match, key) => {
+    const value = lookup(context, key);
+    return value === null || value === undefined ? '' : String(value);
+  });
+}
+
+function channelTemplate(channel) {
+  if (typeof channel.template === 'string') {
+    return { ...DEFAULT_TEMPLATE, text: channel.template };
+  }
+  return { ...DEFAULT_TEMPLATE, ...(channel.template || {}) };
+}
+
+function highestSeverity(events) {
+  return events.reduce((highest, event) => (SEVERITIES.indexOf(event.severity) > SEVERITIES.indexOf(highest) ? event.severity : highest), 'info');
+}
+
+function buildMessage(channel, events, run) {
+  const context = {
+    ...run,
+    // `label` is the severity, or "resolved" once the problem is gone
+    events: events.map(event => ({ ...event, label: event.kind === 'resolved' ? 'resolved' : event.severity })),
+    count: events.length,
+    severity: highestSeverity(events),
+    resolved: events.every(event => event.kind === 'resolved')
+  };
+  const template = channelTemplate(channel);
+  return {
+    title: renderTemplate(template.title, context).trim(),
+    text: renderTemplate(template.text, context).trim(),
+    severity: context.severity,
+    resolved: context.resolved
+  };
+}
+
+const FORMATTERS = {
+  webhook: (message, events, run) => ({
+    source: run.source,
+    title: message.title,
+    text: message.text,
+    severity: message.severity,
+    run: { timestamp: run.timestamp, total: run.total, successful: run.successful, failed: run.failed, exitCode: run.exitCode, url: run.runUrl },
+    events: events.map(({ id, kind, severity, name, title, message: detail, code }) => ({ id, kind, severity, name, title, message: detail, code }))
+  }),
+  // Also accepted by Mattermost, Rocket.Chat and Discord's /slack endpoint
+  slack: message => ({ text: `*${message.title}*\n${message.text}` }),
+  teams: message => ({
+    '@type': 'MessageCard',
+    '@context': 'https://schema.org/extensions',
+    summary: message.title,
+    themeColor: TEAMS_COLORS[message.resolved ? 'resolved' : message.severity],
+    title: message.title,
+    text: message.text.replace(/\n/g, '\n\n')
+  })
+};
+
+async function postJson(channel, payload) {
+  const response = await fetch(channel.url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...(channel.headers || {}) },
+    body: JSON.stringify(payload),
+    signal: AbortSignal.timeout(channel.timeoutMs || REQUEST_TIMEOUT_MS)
+  });
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}`);
+  }
+}
+
+async function sendEmail(channel, message) {
+  const smtp = channel.smtp;
+  const transport = nodemailer.createTransport({
+    host: smtp.host,
+    port: smtp.port || (smtp.secure ? 465 : 587),
+    secure: smtp.secure === true,
+    auth: smtp.user ? { user: smtp.user, pass: smtp.password } : undefined,
+    connectionTimeout: channel.timeoutMs || REQUEST_TIMEOUT_MS
+  });
+  await transport.sendMail({
+    from: channel.from,
+    to: Array.isArray(channel.to) ? channel.to.join(', ') : channel.to,
+    subject: message.title,
+    text: message.text
+  });
+}
+
+async function deliver(channel, events, run) {
+  const message = buildMessage(channel, events, run);
+  if (channel.type === 'email') {
+    await sendEmail(channel, message);
+  } else {
+    await postJson(channel, FORMATTERS[channel.type](message, events, run));
+  }
+}
+
+/**
+ * Key of a channel in the state file
+ * The name if set, otherwise a hash of where it sends to, so URLs and addresses are not stored.
+ */
+function channelKey(channel) {
+  if (channel.name) {
+    return `name:${channel.name}`;
+  }
+  const target = channel.type === 'email' ? [].concat(channel.to).join(',') : channel.url;
+  return `${channel.type}:${crypto.createHash('sha256').update(String(target)).digest('hex').slice(0, 16)}`;
+}
+
+/**
+ * Build the options for a run from the `notifications` block
+ * The de-duplication state is kept next to the run history, which the workflows cache.
+ */
+function resolveNotificationOptions(notifications = {}, { source, stateDir }) {
+  const channels = (notifications && notifications.channels) || [];
+  return {
+    enabled: channels.length > 0 && notifications.enabled !== false && process.env.NOTIFICATIONS !== 'false',
+    channels,
+    repeatMinutes: notifications.repeatMinutes !== undefined ? notifications.repeatMinutes : DEFAULT_REPEAT_MINUTES,
+    stateFile: path.join(stateDir, `notifications-${source}.json`)
+  };
+}
+
+async function loadState(file) {
+  let state;
+  try {
+    state = JSON.parse(await fs.readFile(file, 'utf8'));
+  } catch (error) {
+    // Missing or unreadable state only means repeats are sent once more
+    return { version: STATE_VERSION, channels: {} };
+  }
+  if (state.version === 1) {
+    // The first version kept one list for all channels; every channel starts from it
+    return { version: STATE_VERSION, shared: { events: state.events || {} }, channels: {} };
+  }
+  return { version: STATE_VERSION, channels: state.channels || {} };
+}
+
+function runUrl() {
+  const { GITHUB_SERVER_URL, GITHUB_REPOSITORY, GITHUB_RUN_ID } = process.env;
+  return GITHUB_SERVER_URL && GITHUB_REPOSITORY && GITHUB_RUN_ID
+    ? `${GITHUB_SERVER_URL}/${GITHUB_REPOSITORY}/actions/runs/${GITHUB_RUN_ID}`
+    : null;
+}
+
+/**
+ * Send the notifications for a finished run; never throws, a failed channel is only logged
+ * `run` holds { source, events, names, total, successful, failed, exitCode }.
+ */
+async function sendNotifications(options, run, { now = Date.now() } = {}) {
+  if (!options.enabled) {
+    return { sent: 0, suppressed: 0, failedChannels: 0 };
+  }
+
+  const state = await loadState(options.stateFile);
+  const context = {
+    source: run.source,
+    sourceLabel: SOURCE_LABELS[run.source] || run.source,
+    timestamp: new Date(now).toISOString(),
+    total: run.total,
+    successful: run.successful,
+    failed: run.failed,
+    exitCode: run.exitCode,
+    runUrl: runUrl()
+  };
+
+  let sent = 0;
+  let suppressed = 0;
+  let failedChannels = 0;
+  // Channels no longer configured are dropped from the state
+  const nextChannels = {};
+  for (const [index, channel] of options.channels.entries()) {
+    const key = channelKey(channel);
+    const previous = state.channels[key] || state.shared;
+    // Only what this channel accepts is tracked for it, so another channel's filter never holds an event back
+    const accepted = run.events.filter(event => meetsSeverity(event.severity, channel.minSeverity || DEFAULT_MIN_SEVERITY));
+    const deduplicated = deduplicateEvents(accepted, previous, {
+      names: run.names,
+      now,
+      repeatMinutes: options.repeatMinutes
+    });
+    suppressed += deduplicated.suppressed;
+    if (deduplicated.due.length === 0) {
+      nextChannels[key] = deduplicated.state;
+      continue;
+    }
+    // Channel URLs and addresses can be secrets, so only the name or type is logged
+    const label = channel.name || `${channel.type} channel ${index + 1}`;
+    try {
+      await deliver(channel, deduplicated.due, context);
+      sent++;
+      nextChannels[key] = deduplicated.state;
+      console.log(`Notification sent to ${label} (${deduplicated.due.length} event(s))`);
+    } catch (error) {
+      // The channel keeps its previous state, so the events are due again next run
+      if (previous) {
+        nextChannels[key] = previous;
+      }
+      failedChannels++;
+      console.error(`Failed to notify ${label}:`, error.message);
+    }
+  }
+  if (suppressed > 0) {
+    console.log(`Notifications: ${suppressed} repeated event(s) held back`);
+  }
+
+  try {
+    await fs.mkdir(path.dirname(options.stateFile), { recursive: true });
+    await fs.writeFile(options.stateFile, JSON.stringify({ version: STATE_VERSION, channels: nextChannels }, null, 2));
+  } catch (error) {
+    console.error('Failed to save notification state:', error.message);
+  }
+  return { sent, suppressed, failedChannels };
+}
+
+module.exports = {
+  validateNotifications,
+  buildStatsEvents,
+  buildKeepaliveEvents,
+  deduplicateEvents,
+  renderTemplate,
+  resolveNotificationOptions,
+  sendNotifications
+};
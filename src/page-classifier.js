@@ -0,0 +1,154 @@
+/**
+ * Recognise what kind of page an instance served before trying to log in
+ * A hibernating PDI, an upgrade in progress or an SSO redirect never shows
+ * the login form, so without this a run just times out waiting for #user_name.
+ */
+
+// Instance states and the run status each one is reported as
+const PAGE_STATES = {
+  'login-form': null,
+  'logged-in': null,
+  hibernating: 'hibernating',
+  maintenance: 'maintenance',
+  unavailable: 'unavailable',
+  sso: 'auth-required',
+  unknown: null
+};
+
+const PATTERNS = [
+  {
+    state: 'hibernating',
+    patterns: [/\bhibernat(?:ing|ion|ed)\b/i, /instance is (?:sleeping|asleep)/i, /wake (?:up )?(?:your|the) instance/i]
+  },
+  {
+    state: 'maintenance',
+    patterns: [/\bunder maintenance\b/i, /\bmaintenance (?:mode|in progress|window)\b/i, /\bupgrade (?:is )?in progress\b/i, /\bbeing upgraded\b/i]
+  },
+  {
+    state: 'unavailable',
+    patterns: [/instance (?:was )?not found/i, /instance (?:is )?(?:unavailable|not available)/i, /no such instance/i, /\binstance has been (?:retired|reclaimed|deleted)\b/i]
+  }
+];
+
+const SSO_HOSTS = /(?:okta(?:preview)?\.com|login\.microsoftonline\.com|adfs\b|auth0\.com|onelogin\.com|pingidentity\.com|accounts\.google\.com|signon\.service-now\.com)/i;
+
+class InstanceStateError extends Error {
+  constructor(state, message) {
+    super(message);
+    this.name = 'InstanceStateError';
+    this.state = state;
+    this.status = PAGE_STATES[state] || 'failed';
+  }
+}
+
+/**
+ * Classify a page from signals gathered in the browser or from a response body
+ * Returns { state, status, reason }; status is null for pages that allow a login.
+ */
+function classifyPage({ url = '', title = '', text = '', hasLoginForm = false, isLoggedIn = false, instanceUrl = '' }) {
+  const result = (state, reason) => ({ state, status: PAGE_STATES[state], reason });
+
+  if (isLoggedIn) {
+    return result('logged-in', 'ServiceNow navigation found');
+  }
+
+  // Status pages are checked first, a hibernating PDI redirects off the instance host too
+  if (!hasLoginForm) {
+    const content = `${title}\n${text}`;
+    for (const { state, patterns } of PATTERNS) {
+      const match = patterns.map(pattern => content.match(pattern)).find(Boolean);
+      if (match) {
+        return result(state, `Page mentions "${match[0]}"`);
+      }
+    }
+  }
+
+  // Leaving the instance host during login means an identity provider took over
+  const instanceHost = hostOf(instanceUrl);
+  const pageHost = hostOf(url);
+  if (pageHost && instanceHost && pageHost !== instanceHost && (SSO_HOSTS.test(pageHost) || !hasLoginForm)) {
+    return result('sso', 'Redirected to an external identity provider');
+  }
+  if (/\/(?:saml|sso|oauth2?)[/_.-]|login_with_sso|\bsaml2?\b/i.test(pathOf(url)) && !hasLoginForm) {
+    return result('sso', 'Redirected to single sign-on');
+  }
+
+  if (hasLoginForm) {
+    return result('login-form', 'Login form found');
+  }
+
+  return result('unknown', title ? `Unrecognised page "${title.trim().slice(0, 80)}"` : 'Unrecognised page');
+}
+
+/**
+ * Classify a raw HTML response body, used where no browser is available
+ */
+function classifyHtml(html, { url = '', instanceUrl = '' } = {}) {
+  const titleMatch = html.match(/<title[^>]*>([\s\S]*?)<\/title>/i);
+  const text = html
+    .replace(/<(script|style)[^>]*>[\s\S]*?<\/\1>/gi, ' ')
+    .replace(/<[^>]+>/g, ' ')
+    .replace(/\s+/g, ' ');
+  return classifyPage({
+    url,
+    title: titleMatch ? titleMatch[1] : '',
+    text,
+    hasLoginForm: /id=["']?user_name\b/i.test(html),
+    instanceUrl
+  });
+}
+
+/**
+ * Gather the classification signals from the current page (runs in the browser)
+ */
+function collectPageSignals() {
+  return {
+    url: window.location.href,
+    title: document.title || '',
+    text: document.body ? document.body.innerText.slice(0, 5000) : '',
+    hasLoginForm: document.querySelector('#user_name') !== null,
+    isLoggedIn: document.querySelector('#gsft_main') !== null ||
+                document.querySelector('.navpage-main') !== null
+  };
+}
+
+/**
+ * Error to throw for a page that prevents logging in, or null when login can proceed
+ */
+function stateError(classification) {
+  if (!classification.status) {
+    return null;
+  }
+  const descriptions = {
+    hibernating: 'Instance is hibernating',
+    maintenance: 'Instance is under maintenance',
+    unavailable: 'Instance is unavailable',
+    sso: 'Instance requires single sign-on'
+  };
+  return new InstanceStateError(classification.state, `${descriptions[classification.state]} - ${classification.reason}`);
+}
+
+function hostOf(url) {
+  try {
+    return new URL(url).host.toLowerCase();
+  } catch (error) {
+    return '';
+  }
+}
+
+function pathOf(url) {
+  try {
+    return new URL(url).pathname;
+  } catch (error) {
+    return '';
+  }
+}
+
+module.exports = {
+  PAGE_STATES,
+  InstanceStateError,
+  classifyPage,
+  classifyHtml,
+  collectPageSignals,
+  stateError
+};
@@ -0,0 +1,81 @@
+/**
+ * Page performance timings from the Navigation Timing API and Puppeteer metrics
+ * Timings are keyed by step name (e.g. loginPage, landing, stats) so they can
+ * be referenced from alert rules as `timings.<step>.<field>`.
+ */
+
+function round(value) {
+  return typeof value === 'number' && Number.isFinite(value) ? Math.round(value) : null;
+}
+
+/**
+ * Turn a step or collector name into a key usable in rule conditions
+ * e.g. "cluster-state" becomes "clusterState".
+ */
+function stepKey(name) {
+  return String(name).replace(/[^a-zA-Z0-9]+(.)?/g, (match, next) => (next ? next.toUpperCase() : ''));
+}
+
+/**
+ * Read the navigation timing of the page's current document
+ * All values are milliseconds relative to the start of the navigation.
+ * `durationMs` is the wall-clock time of the whole step when `startedAt` is given.
+ */
+async function capturePageTiming(page, { startedAt = null } = {}) {
+  const navigation = await page.evaluate(() => {
+    const entry = performance.getEntriesByType('navigation')[0];
+    if (!entry) {
+      return null;
+    }
+    return {
+      path: window.location.pathname,
+      ttfb: entry.responseStart - entry.startTime,
+      domContentLoaded: entry.domContentLoadedEventEnd - entry.startTime,
+      load: entry.loadEventEnd > 0 ? entry.loadEventEnd - entry.startTime : null,
+      duration: entry.duration > 0 ? entry.duration : null,
+      transferSize: entry.transferSize
+    };
+  });
+
+  let metrics = {};
+  try {
+    metrics = await page.metrics();
+  } catch (error) {
+    // Metrics are a bonus, the navigation timing is what matters
+  }
+
+  return {
+    path: navigation ? navigation.path : null,
+    ttfbMs: navigation ? round(navigation.ttfb) : null,
+    domContentLoadedMs: navigation ? round(navigation.domContentLoaded) : null,
+    loadMs: navigation ? round(navigation.load) : null,
+    navigationMs: navigation ? round(navigation.duration) : null,
+    durationMs: startedAt ? Date.now() - startedAt : null,
+    transferBytes: navigation && navigation.transferSize ? navigation.transferSize : null,
+    scriptMs: typeof metrics.ScriptDuration === 'number' ? round(metrics.ScriptDuration * 1000) : null,
+    jsHeapUsedMb: typeof metrics.JSHeapUsedSize === 'number' ? Math.round(metrics.JSHeapUsedSize / 1024 / 1024 * 10) / 10 : null
+  };
+}
+
+/**
+ * Timing for a plain HTTP request (REST mode has no browser to ask)
+ */
+function requestTiming({ startedAt, headersAt, finishedAt, path = null }) {
+  return {
+    path,
+    ttfbMs: headersAt ? headersAt - startedAt : null,
+    domContentLoadedMs: null,
+    loadMs: null,
+    navigationMs: finishedAt ? finishedAt - startedAt : null,
+    durationMs: finishedAt ? finishedAt - startedAt : null,
+    transferBytes: null,
+    scriptMs: null,
+    jsHeapUsedMb: null
+  };
+}
+
+module.exports = {
+  stepKey,
+  capturePageTiming,
+  requestTiming
+};
@@ -0,0 +1,258 @@
+/**
+ * Declarative probes: instance-specific checks run after logging in
+ *
+ * A probe declares:
+ *   name       - Identifier used in the summary and in rule conditions
+ *   path       - Path on the instance to load
+ *   waitFor    - Selector to wait for before checking, optional
+ *   timeoutMs  - How long to wait for the selector (default 30s)
+ *   screenshot - Whether to take a full-page screenshot
+ *   assert     - Checks that all have to hold, each on one subject:
+ *                { selector, attribute } the first matching element's text or attribute,
+ *                { value } a value from `extract`, or neither for the page text;
+ *                with `contains`, `notContains`, `equals`, `matches` (a regular
+ *                expression), or `minCount`/`maxCount` for the number of matching elements
+ *   extract    - Values to record: { name: { selector, attribute, regex, count } },
+ *                or { name: "selector" } for an element's text
+ *
+ * The page is read in the browser and the assertions are checked here, so the
+ * probe result can be reported without the page.
+ */
+
+const DEFAULT_WAIT_MS = 30000;
+const CONDITIONS = ['contains', 'notContains', 'equals', 'matches', 'minCount', 'maxCount'];
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function extractSpec(spec) {
+  return typeof spec === 'string' ? { selector: spec } : spec;
+}
+
+function checkRegex(pattern, where, problems) {
+  try {
+    new RegExp(pattern);
+  } catch (error) {
+    problems.push(`${where} is not a valid regular expression: ${error.message}`);
+  }
+}
+
+/**
+ * Validate probe definitions, returning a list of problems
+ */
+function validateProbes(probes, label = 'probes') {
+  const problems = [];
+  const names = new Set();
+  (probes || []).forEach((probe, index) => {
+    const where = `${label}[${index}]${probe && probe.name ? ` (${probe.name})` : ''}`;
+    if (!isPlainObject(probe)) {
+      problems.push(`${where} must be an object`);
+      return;
+    }
+    if (typeof probe.name !== 'string' || !/^[A-Za-z0-9_-]+$/.test(probe.name)) {
+      problems.push(`${where}.name must be letters, digits, "-" or "_"`);
+    } else if (names.has(probe.name)) {
+      problems.push(`${where}.name "${probe.name}" is used more than once`);
+    } else {
+      names.add(probe.name);
+    }
+    if (typeof probe.path !== 'string' || !probe.path.startsWith('/')) {
+      problems.push(`${where}.path must start with /`);
+    }
+    if (probe.waitFor !== undefined && (typeof probe.waitFor !== 'string' || !probe.waitFor)) {
+      problems.push(`${where}.waitFor must be a selector`);
+    }
+    if (probe.timeoutMs !== undefined && (typeof probe.timeoutMs !== 'number' || probe.timeoutMs < 0)) {
+      problems.push(`${where}.timeoutMs must be a number of milliseconds`);
+    }
+    if (probe.screenshot !== undefined && typeof probe.screenshot !== 'boolean') {
+      problems.push(`${where}.screenshot must be true or false`);
+    }
+
+    const extract = probe.extract === undefined ? {} : probe.extract;
+    if (!isPlainObject(extract)) {
+      problems.push(`${where}.extract must be an object`);
+    } else {
+      Object.entries(extract).forEach(([key, raw]) => {
+        const spec = extractSpec(raw);
+        const at = `${where}.extract.${key}`;
+        if (!/^\w+$/.test(key)) {
+          problems.push(`${at}: names must be letters, digits or "_"`);
+        }
+        if (!isPlainObject(spec) || (!spec.selector && !spec.regex)) {
+          problems.push(`${at} needs a selector or a regex`);
+          return;
+        }
+        if (spec.count && !spec.selector) {
+          problems.push(`${at}: count needs a selector`);
+        }
+        if (spec.regex) {
+          checkRegex(spec.regex, `${at}.regex`, problems);
+        }
+      });
+    }
+
+    if (probe.assert !== undefined && !Array.isArray(probe.assert)) {
+      problems.push(`${where}.assert must be an array`);
+      return;
+    }
+    (probe.assert || []).forEach((assertion, assertIndex) => {
+      const at = `${where}.assert[${assertIndex}]`;
+      if (!isPlainObject(assertion)) {
+        problems.push(`${at} must be an object`);
+        return;
+      }
+      const conditions = CONDITIONS.filter(condition => assertion[condition] !== undefined);
+      if (conditions.length !== 1) {
+        problems.push(`${at} needs exactly one of ${CONDITIONS.join(', ')}`);
+        return;
+      }
+      if (assertion.selector && assertion.value) {
+        problems.push(`${at} checks either a selector or a value, not both`);
+      }
+      if (assertion.value && isPlainObject(extract) && extract[assertion.value] === undefined) {
+        problems.push(`${at}.value "${assertion.value}" is not in extract`);
+      }
+      const condition = conditions[0];
+      if ((condition === 'minCount' || condition === 'maxCount') &&
+        (!assertion.selector || typeof assertion[condition] !== 'number' || assertion[condition] < 0)) {
+        problems.push(`${at}.${condition} needs a selector and a number`);
+      }
+      if (condition === 'matches') {
+        checkRegex(assertion.matches, `${at}.matches`, problems);
+      }
+    });
+  });
+  return problems;
+}
+
+/**
+ * The elements a probe reads, as { selector, attribute } pairs
+ */
+function probeTargets(probe) {
+  const targets = [];
+  const add = (selector, attribute) => {
+    if (selector && !targets.some(target => target.selector === selector && target.attribute === attribute)) {
+      targets.push({ selector, attribute });
+    }
+  };
+  Object.values(probe.extract || {}).map(extractSpec).forEach(spec => add(spec.selector, spec.attribute || null));
+  (probe.assert || []).forEach(assertion => add(assertion.selector, assertion.attribute || null));
+  return targets;
+}
+
+/**
+ * Runs in the browser page: the page text and, per target, the text or attribute of every match
+ */
+function readProbeTargets(targets) {
+  return {
+    text: document.body ? document.body.innerText : '',
+    targets: targets.map(target => Array.from(document.querySelectorAll(target.selector)).map(element => {
+      if (!target.attribute) {
+        return (element.innerText || element.textContent || '').trim();
+      }
+      // Form fields hold their current value in the property, not the attribute
+      return target.attribute === 'value' && 'value' in element ? element.value : element.getAttribute(target.attribute);
+    }))
+  };
+}
+
+function matchesOf(observed, targets, selector, attribute) {
+  const index = targets.findIndex(target => target.selector === selector && target.attribute === (attribute || null));
+  return index === -1 ? [] : observed.targets[index] || [];
+}
+
+function toValue(text) {
+  return typeof text === 'string' && /^-?\d+(?:\.\d+)?$/.test(text.trim()) ? Number(text) : text;
+}
+
+function extractValues(probe, observed, targets) {
+  const values = {};
+  Object.entries(probe.extract || {}).forEach(([key, raw]) => {
+    const spec = extractSpec(raw);
+    const matches = spec.selector ? matchesOf(observed, targets, spec.selector, spec.attribute) : [observed.text];
+    if (spec.count) {
+      values[key] = matches.length;
+      return;
+    }
+    let text = matches.length > 0 ? matches[0] : null;
+    if (text !== null && spec.regex) {
+      const match = String(text).match(new RegExp(spec.regex));
+      text = match ? (match[1] !== undefined ? match[1] : match[0]) : null;
+    }
+    values[key] = text === null ? null : toValue(text);
+  });
+  return values;
+}
+
+function describeSubject(assertion) {
+  if (assertion.value) {
+    return assertion.value;
+  }
+  if (assertion.selector) {
+    return `${assertion.selector}${assertion.attribute ? `[${assertion.attribute}]` : ''}`;
+  }
+  return 'page text';
+}
+
+function checkAssertion(assertion, { observed, targets, values }) {
+  const subject = describeSubject(assertion);
+  const matches = assertion.selector ? matchesOf(observed, targets, assertion.selector, assertion.attribute) : [];
+  if (assertion.minCount !== undefined || assertion.maxCount !== undefined) {
+    const passed = assertion.minCount !== undefined ? matches.length >= assertion.minCount : matches.length <= assertion.maxCount;
+    const expected = assertion.minCount !== undefined ? `>= ${assertion.minCount}` : `<= ${assertion.maxCount}`;
+    return { check: `${subject} count ${expected}`, passed, actual: matches.length };
+  }
+
+  let actual;
+  if (assertion.value) {
+    actual = values[assertion.value];
+  } else if (assertion.selector) {
+    actual = matches.length > 0 ? matches[0] : null;
+  } else {
+    actual = observed.text;
+  }
+  const text = actual === null || actual === undefined ? null : String(actual);
+
+  let passed;
+  let check;
+  if (assertion.contains !== undefined) {
+    passed = text !== null && text.includes(assertion.contains);
+    check = `${subject} contains "${assertion.contains}"`;
+  } else if (assertion.notContains !== undefined) {
+    passed = text !== null && !text.includes(assertion.notContains);
+    check = `${subject} does not contain "${assertion.notContains}"`;
+  } else if (assertion.equals !== undefined) {
+    passed = text !== null && text === String(assertion.equals);
+    check = `${subject} equals "${assertion.equals}"`;
+  } else {
+    passed = text !== null && new RegExp(assertion.matches).test(text);
+    check = `${subject} matches /${assertion.matches}/`;
+  }
+  // The whole page text is too long to report
+  return { check, passed, actual: assertion.selector || assertion.value ? actual : undefined };
+}
+
+/**
+ * Check a probe's assertions and extract its values from what readProbeTargets() read
+ * Returns { passed, assertions, values }.
+ */
+function evaluateProbe(probe, observed) {
+  const targets = probeTargets(probe);
+  const values = extractValues(probe, observed, targets);
+  const assertions = (probe.assert || []).map(assertion => checkAssertion(assertion, { observed, targets, values }));
+  return {
+    passed: assertions.every(assertion => assertion.passed),
+    assertions,
+    values
+  };
+}
+
+module.exports = {
+  DEFAULT_WAIT_MS,
+  validateProbes,
+  probeTargets,
+  readProbeTargets,
+  evaluateProbe
+};
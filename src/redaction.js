@@ -0,0 +1,176 @@
+/**
+ * Redaction of saved pages and parsed JSON
+ * Collector output ends up in the uploaded artifacts, so hostnames, IP
+ * addresses, node ids and usernames are replaced before anything is written.
+ * Parsing, change detection and rules still see the original content.
+ */
+
+const DEFAULT_UNREDACTED_DIR = 'stats-unredacted';
+
+const IP_ADDRESS = /\b(?:(?:25[0-5]|2[0-4]\d|1?\d?\d)\.){3}(?:25[0-5]|2[0-4]\d|1?\d?\d)\b/g;
+// ServiceNow node ids are a hex system id followed by ":<instance><node number>". A bare hex id is
+// only taken for a node id next to a "node id"/"system id" label, so sys_ids and hashes elsewhere stay
+const NODE_ID = /\b[0-9a-f]{16,32}:[\w.-]+/gi;
+const LABELLED_NODE_ID = /(\b(?:node|system)[ _]?id\b[^\n]{0,40}?)\b[0-9a-f]{16,32}\b/gi;
+const HOSTNAME = /\b(?:[a-z0-9](?:[a-z0-9-]*[a-z0-9])?\.)+(?:com|net|org|io|cloud|local|internal|corp|lan)\b/gi;
+
+const CATEGORIES = ['hostnames', 'ipAddresses', 'nodeIds', 'usernames'];
+
+function escapeRegExp(value) {
+  return String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function listOf(config, key) {
+  return config && Array.isArray(config[key]) ? config[key] : [];
+}
+
+// A custom pattern is either a regex string or { pattern, flags, replacement }
+function compilePattern(entry) {
+  if (typeof entry === 'string') {
+    return { regex: new RegExp(entry, 'g'), replacement: '[REDACTED]' };
+  }
+  return {
+    regex: new RegExp(entry.pattern, `g${(entry.flags || '').replace(/g/g, '')}`),
+    replacement: entry.replacement !== undefined ? String(entry.replacement) : '[REDACTED]'
+  };
+}
+
+/**
+ * Merge the global `redaction` block with an instance's own overrides
+ * Every category is on unless switched off; REDACTION=false disables redaction.
+ */
+function resolveRedactionOptions(globalConfig = {}, instanceConfig = {}) {
+  const merged = { ...(globalConfig || {}), ...(instanceConfig || {}) };
+  return {
+    enabled: merged.enabled !== false && process.env.REDACTION !== 'false',
+    hostnames: merged.hostnames !== false,
+    ipAddresses: merged.ipAddresses !== false,
+    nodeIds: merged.nodeIds !== false,
+    usernames: merged.usernames !== false,
+    extraUsernames: [...listOf(globalConfig, 'usernames'), ...listOf(instanceConfig, 'usernames')],
+    patterns: [...listOf(globalConfig, 'patterns'), ...listOf(instanceConfig, 'patterns')],
+    keepUnredacted: merged.keepUnredacted === true,
+    unredactedDir: process.env.STATS_UNREDACTED_DIR || merged.unredactedDir || DEFAULT_UNREDACTED_DIR
+  };
+}
+
+/**
+ * Validate a `redaction` block, returning a list of problems
+ */
+function validateRedaction(redaction, label) {
+  if (redaction === undefined) {
+    return [];
+  }
+  if (!redaction || typeof redaction !== 'object' || Array.isArray(redaction)) {
+    return [`${label} must be an object`];
+  }
+
+  const problems = [];
+  CATEGORIES.filter(key => key !== 'usernames').forEach(key => {
+    if (redaction[key] !== undefined && typeof redaction[key] !== 'boolean') {
+      problems.push(`${label}.${key} must be true or false`);
+    }
+  });
+  // `usernames` is either a switch or a list of extra names to hide
+  if (redaction.usernames !== undefined && typeof redaction.usernames !== 'boolean' &&
+      !(Array.isArray(redaction.usernames) && redaction.usernames.every(name => typeof name === 'string'))) {
+    problems.push(`${label}.usernames must be true, false or a list of usernames`);
+  }
+  if (redaction.patterns !== undefined) {
+    if (!Array.isArray(redaction.patterns)) {
+      problems.push(`${label}.patterns must be an array`);
+    } else {
+      redaction.patterns.forEach((entry, index) => {
+        const pattern = typeof entry === 'string' ? entry : entry && entry.pattern;
+        if (typeof pattern !== 'string' || !pattern) {
+          problems.push(`${label}.patterns[${index}] needs a pattern`);
+          return;
+        }
+        try {
+          compilePattern(entry);
+        } catch (error) {
+          problems.push(`${label}.patterns[${index}] is not a valid regular expression: ${error.message}`);
+        }
+      });
+    }
+  }
+  return problems;
+}
+
+/**
+ * Build a function that redacts a string for one instance
+ */
+function createRedactor(options, { instanceUrl = '', username = '' } = {}) {
+  if (!options.enabled) {
+    return value => value;
+  }
+
+  const replacements = [];
+
+  options.patterns.forEach(entry => {
+    const { regex, replacement } = compilePattern(entry);
+    replacements.push([regex, replacement]);
+  });
+
+  if (options.nodeIds) {
+    replacements.push([NODE_ID, '[NODE_ID]']);
+    replacements.push([LABELLED_NODE_ID, '$1[NODE_ID]']);
+  }
+  if (options.usernames) {
+    const names = [username, ...options.extraUsernames].filter(Boolean);
+    if (names.length > 0) {
+      replacements.push([new RegExp(`\\b(?:${names.map(escapeRegExp).join('|')})\\b`, 'gi'), '[USER]']);
+    }
+  }
+  if (options.ipAddresses) {
+    replacements.push([IP_ADDRESS, '[IP]']);
+  }
+  if (options.hostnames) {
+    let host = '';
+    try {
+      host = new URL(instanceUrl).hostname;
+    } catch (error) {
+      // No usable instance URL, the generic hostname pattern still applies
+    }
+    if (host) {
+      replacements.push([new RegExp(escapeRegExp(host), 'gi'), '[INSTANCE]']);
+    }
+    replacements.push([HOSTNAME, '[HOST]']);
+    // The instance name on its own shows up in node names ("dev12345001") and page titles,
+    // but a short name such as "dev" must not match inside "developer"
+    const subdomain = host.split('.')[0];
+    if (subdomain && host.includes('.') && !/^[\d.]+$/.test(host)) {
+      replacements.push([new RegExp(`\\b${escapeRegExp(subdomain)}(?=\\d*(?![\\w-]))`, 'gi'), '[INSTANCE]']);
+    }
+  }
+
+  return value => {
+    if (typeof value !== 'string') {
+      return value;
+    }
+    return replacements.reduce((text, [pattern, replacement]) => text.replace(pattern, replacement), value);
+  };
+}
+
+/**
+ * Apply a redactor to every string (but not the keys) of a JSON value
+ */
+function redactValue(value, redact) {
+  if (typeof value === 'string') {
+    return redact(value);
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => redactValue(item, redact));
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, redactValue(item, redact)]));
+  }
+  return value;
+}
+
+module.exports = {
+  resolveRedactionOptions,
+  validateRedaction,
+  createRedactor,
+  redactValue
+};
@@ -0,0 +1,366 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { HistoryStore, resolveHistoryOptions } = require('./history-store');
+const { readConfig } = require('./config-loader');
+
+/**
+ * Availability / SLA report from the recorded run history
+ *
+ * Usage:
+ *   node src/report-availability.js [--month YYYY-MM | --from YYYY-MM-DD --to YYYY-MM-DD]
+ *     [--exclude hibernating,maintenance] [--history-dir dir] [--developer-history-dir dir] [--output-dir dir]
+ *
+ * Without a period the previous calendar month (UTC) is reported. Instances come
+ * from stats-history.jsonl, developer accounts from developer-history.jsonl.
+ * An incident is a run of consecutive unsuccessful probes; it ends at the next
+ * successful probe, so its duration is the time to recovery.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Resolve the reporting period from the command line arguments
+ * Returns { label, start, end } with `end` exclusive.
+ */
+function resolvePeriod({ month = null, from = null, to = null } = {}, now = new Date()) {
+  if (month) {
+    const match = /^(\d{4})-(\d{2})$/.exec(month);
+    if (!match || Number(match[2]) < 1 || Number(match[2]) > 12) {
+      throw new Error(`--month must look like YYYY-MM, got "${month}"`);
+    }
+    const start = Date.UTC(Number(match[1]), Number(match[2]) - 1, 1);
+    const end = Date.UTC(Number(match[1]), Number(match[2]), 1);
+    return { label: month, start, end };
+  }
+
+  if (from || to) {
+    if (!from || !to) {
+      throw new Error('--from and --to must be given together');
+    }
+    const start = parseDay(from, '--from');
+    const end = parseDay(to, '--to') + DAY_MS;
+    if (end <= start) {
+      throw new Error('--to must not be before --from');
+    }
+    return { label: `${from}_${to}`, start, end };
+  }
+
+  const start = Date.UTC(now.getUTCFullYear(), now.getUTCMonth() - 1, 1);
+  const end = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1);
+  return { label: new Date(start).toISOString().slice(0, 7), start, end };
+}
+
+function parseDay(value, flag) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value) || Number.isNaN(Date.parse(`${value}T00:00:00Z`))) {
+    throw new Error(`${flag} must look like YYYY-MM-DD, got "${value}"`);
+  }
+  return Date.parse(`${value}T00:00:00Z`);
+}
+
+function recordTime(record) {
+  return Date.parse(record.timestamp || record.run);
+}
+
+/**
+ * Availability figures for one instance or account
+ * Runs with an excluded status (e.g. hibernating) are left out entirely: they
+ * count neither as success nor as failure and do not end an incident.
+ */
+function summarizeAvailability(key, records, { start, end, exclude = [], now = Date.now() }) {
+  const runs = records
+    .filter(record => record.key === key)
+    .map(record => ({ record, time: recordTime(record) }))
+    .filter(({ time }) => time >= start && time < end)
+    .sort((a, b) => a.time - b.time);
+
+  const summary = {
+    key,
+    runs: runs.length,
+    excluded: 0,
+    successful: 0,
+    failed: 0,
+    availabilityPercent: null,
+    incidents: [],
+    longestOutageMs: null,
+    mttrMs: null
+  };
+
+  let open = null;
+  for (const { record, time } of runs) {
+    if (exclude.includes(record.status)) {
+      summary.excluded++;
+      continue;
+    }
+    if (record.status === 'success') {
+      summary.successful++;
+      if (open) {
+        open.end = new Date(time).toISOString();
+        open.durationMs = time - Date.parse(open.start);
+        summary.incidents.push(open);
+        open = null;
+      }
+      continue;
+    }
+
+    summary.failed++;
+    if (!open) {
+      open = {
+        start: new Date(time).toISOString(),
+        end: null,
+        durationMs: null,
+        failedRuns: 0,
+        statuses: [],
+        code: record.errorCode || null,
+        error: record.error || null,
+        ongoing: false
+      };
+    }
+    open.failedRuns++;
+    if (!open.statuses.includes(record.status)) {
+      open.statuses.push(record.status);
+    }
+  }
+
+  // Not recovered by the end of the period (or yet), measure up to the period end
+  if (open) {
+    open.ongoing = true;
+    open.durationMs = Math.min(end, now) - Date.parse(open.start);
+    summary.incidents.push(open);
+  }
+
+  const counted = summary.successful + summary.failed;
+  if (counted > 0) {
+    summary.availabilityPercent = Math.round((summary.successful / counted) * 10000) / 100;
+  }
+  if (summary.incidents.length > 0) {
+    summary.longestOutageMs = Math.max(...summary.incidents.map(incident => incident.durationMs));
+  }
+  const recovered = summary.incidents.filter(incident => !incident.ongoing);
+  if (recovered.length > 0) {
+    summary.mttrMs = Math.round(recovered.reduce((total, incident) => total + incident.durationMs, 0) / recovered.length);
+  }
+
+  return summary;
+}
+
+/**
+ * Build the report for both sources over one period
+ */
+function buildAvailabilityReport({ stats = [], developer = [] }, period, { exclude = [], now = Date.now() } = {}) {
+  const keysOf = records => [...new Set(records.map(record => record.key))].sort();
+  const options = { start: period.start, end: period.end, exclude, now };
+  return {
+    period: {
+      label: period.label,
+      from: new Date(period.start).toISOString(),
+      to: new Date(period.end).toISOString()
+    },
+    exclude,
+    generatedAt: new Date(now).toISOString(),
+    entries: [
+      ...keysOf(stats).map(key => ({ type: 'instance', ...summarizeAvailability(key, stats, options) })),
+      ...keysOf(developer).map(key => ({ type: 'account', ...summarizeAvailability(key, developer, options) }))
+    ].filter(entry => entry.runs > 0)
+  };
+}
+
+function formatDuration(ms) {
+  if (ms === null || ms === undefined) {
+    return '-';
+  }
+  const minutes = Math.round(ms / 60000);
+  if (minutes < 60) {
+    return `${minutes}m`;
+  }
+  const hours = Math.floor(minutes / 60);
+  if (hours < 24) {
+    return `${hours}h ${minutes % 60}m`;
+  }
+  return `${Math.floor(hours / 24)}d ${hours % 24}h`;
+}
+
+function formatPercent(value) {
+  return value === null ? '-' : `${value.toFixed(2)}%`;
+}
+
+function escapeMarkdown(value) {
+  return String(value === null || value === undefined ? '' : value).replace(/\|/g, '\\|').replace(/\s+/g, ' ');
+}
+
+function renderMarkdown(report) {
+  const lines = [
+    `# Availability report ${report.period.label}`,
+    '',
+    `Period: ${report.period.from} to ${report.period.to} (exclusive)`,
+    `Excluded statuses: ${report.exclude.length > 0 ? report.exclude.join(', ') : 'none'}`,
+    ''
+  ];
+
+  if (report.entries.length === 0) {
+    lines.push('No runs were recorded in this period.', '');
+    return lines.join('\n');
+  }
+
+  lines.push(
+    '| Type | Name | Availability | Runs | Successful | Failed | Excluded | Incidents | Longest outage | MTTR |',
+    '|------|------|-------------:|-----:|-----------:|-------:|---------:|----------:|---------------:|-----:|'
+  );
+  report.entries.forEach(entry => {
+    lines.push(`| ${entry.type} | ${escapeMarkdown(entry.key)} | ${formatPercent(entry.availabilityPercent)} | ${entry.runs} | ${entry.successful} | ${entry.failed} | ${entry.excluded} | ${entry.incidents.length} | ${formatDuration(entry.longestOutageMs)} | ${formatDuration(entry.mttrMs)} |`);
+  });
+  lines.push('');
+
+  const withIncidents = report.entries.filter(entry => entry.incidents.length > 0);
+  if (withIncidents.length > 0) {
+    lines.push('## Incidents', '');
+    withIncidents.forEach(entry => {
+      lines.push(`### ${escapeMarkdown(entry.key)} (${entry.type})`, '');
+      lines.push('| Start | End | Duration | Failed runs | Status | Code | Error |', '|-------|-----|---------:|------------:|--------|------|-------|');
+      entry.incidents.forEach(incident => {
+        const end = incident.ongoing ? 'not recovered' : incident.end;
+        lines.push(`| ${incident.start} | ${end} | ${formatDuration(incident.durationMs)} | ${incident.failedRuns} | ${incident.statuses.join(', ')} | ${incident.code || '-'} | ${escapeMarkdown(incident.error)} |`);
+      });
+      lines.push('');
+    });
+  }
+
+  return lines.join('\n');
+}
+
+function csvValue(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  const text = String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(header, rows) {
+  return [header, ...rows].map(row => row.map(csvValue).join(',')).join('\n') + '\n';
+}
+
+function minutes(ms) {
+  return ms === null || ms === undefined ? null : Math.round(ms / 600) / 100;
+}
+
+function renderSummaryCsv(report) {
+  return toCsv(
+    ['period', 'type', 'name', 'availability_percent', 'runs', 'successful', 'failed', 'excluded', 'incidents', 'longest_outage_minutes', 'mttr_minutes'],
+    report.entries.map(entry => [
+      report.period.label,
+      entry.type,
+      entry.key,
+      entry.availabilityPercent,
+      entry.runs,
+      entry.successful,
+      entry.failed,
+      entry.excluded,
+      entry.incidents.length,
+      minutes(entry.longestOutageMs),
+      minutes(entry.mttrMs)
+    ])
+  );
+}
+
+function renderIncidentsCsv(report) {
+  const rows = [];
+  report.entries.forEach(entry => {
+    entry.incidents.forEach(incident => {
+      rows.push([
+        report.period.label,
+        entry.type,
+        entry.key,
+        incident.start,
+        incident.end,
+        minutes(incident.durationMs),
+        incident.ongoing,
+        incident.failedRuns,
+        incident.statuses.join(' '),
+        incident.code,
+        incident.error
+      ]);
+    });
+  });
+  return toCsv(['period', 'type', 'name', 'start', 'end', 'duration_minutes', 'ongoing', 'failed_runs', 'statuses', 'code', 'error'], rows);
+}
+
+function parseArgs(argv) {
+  const args = { month: null, from: null, to: null, exclude: [], historyDir: null, developerHistoryDir: null, outputDir: 'availability-report' };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--month') {
+      args.month = argv[++i];
+    } else if (arg === '--from') {
+      args.from = argv[++i];
+    } else if (arg === '--to') {
+      args.to = argv[++i];
+    } else if (arg === '--exclude') {
+      args.exclude = String(argv[++i] || '').split(',').map(status => status.trim()).filter(Boolean);
+    } else if (arg === '--history-dir') {
+      args.historyDir = argv[++i];
+    } else if (arg === '--developer-history-dir') {
+      args.developerHistoryDir = argv[++i];
+    } else if (arg === '--output-dir') {
+      args.outputDir = argv[++i];
+    } else {
+      throw new Error(`Unknown argument: ${arg}`);
+    }
+  }
+  return args;
+}
+
+async function loadRecords(options, dir) {
+  if (dir) {
+    options.dir = dir;
+  }
+  const history = new HistoryStore(options);
+  const records = await history.load();
+  console.log(`Loaded ${records.length} history record(s) from ${history.file}`);
+  return records;
+}
+
+async function main(argv = process.argv.slice(2)) {
+  const args = parseArgs(argv);
+  const period = resolvePeriod(args);
+
+  let historyConfig = {};
+  try {
+    historyConfig = (await readConfig('stats', { argv: [] })).config.history || {};
+  } catch (error) {
+    console.error('Ignoring the stats configuration, it could not be read:', error.message);
+  }
+
+  const stats = await loadRecords(resolveHistoryOptions(historyConfig), args.historyDir);
+  const developer = await loadRecords(resolveHistoryOptions({}, { file: 'developer-history.jsonl' }), args.developerHistoryDir);
+
+  const report = buildAvailabilityReport({ stats, developer }, period, { exclude: args.exclude });
+  console.log(`Availability for ${period.label}: ${report.entries.length} instance(s)/account(s)`);
+  report.entries.forEach(entry => {
+    console.log(`  ${entry.type} ${entry.key}: ${formatPercent(entry.availabilityPercent)}, ${entry.incidents.length} incident(s)`);
+  });
+
+  await fs.mkdir(args.outputDir, { recursive: true });
+  const base = path.join(args.outputDir, `availability-${period.label}`);
+  await fs.writeFile(`${base}.md`, renderMarkdown(report));
+  await fs.writeFile(`${base}.csv`, renderSummaryCsv(report));
+  await fs.writeFile(`${base}-incidents.csv`, renderIncidentsCsv(report));
+  await fs.writeFile(`${base}.json`, JSON.stringify(report, null, 2));
+  console.log(`Availability report written: ${base}.md`);
+}
+
+if (require.main === module) {
+  main().catch(error => {
+    console.error('Fatal error:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  main,
+  resolvePeriod,
+  summarizeAvailability,
+  buildAvailabilityReport,
+  renderMarkdown,
+  renderSummaryCsv,
+  renderIncidentsCsv
+};
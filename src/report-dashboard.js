@@ -0,0 +1,275 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { HistoryStore, resolveHistoryOptions } = require('./history-store');
+const { readConfig } = require('./config-loader');
+
+/**
+ * Render a self-contained HTML dashboard from the stats history
+ *
+ * Usage:
+ *   node src/report-dashboard.js [--history-dir dir] [--output-dir dir] [--include-screenshots] [--screenshots-dir dir] [--days n]
+ *
+ * The output directory contains index.html with inline SVG charts. Screenshots are
+ * not redacted, so the latest one per instance is only copied under screenshots/
+ * with --include-screenshots, linked relative to the page (browsers refuse to open
+ * data: URLs from a link). The directory can be uploaded as an artifact or
+ * published as a GitHub Pages site as-is.
+ */
+
+const CHART_WIDTH = 560;
+const CHART_HEIGHT = 160;
+const CHART_PADDING = { top: 12, right: 12, bottom: 24, left: 48 };
+
+function escapeHtml(value) {
+  return String(value === null || value === undefined ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function formatNumber(value, digits = 1) {
+  if (value === null || value === undefined || Number.isNaN(value)) {
+    return '–';
+  }
+  return Number(value).toFixed(digits).replace(/\.0+$/, '');
+}
+
+/**
+ * Render a line chart of { time, value } points as inline SVG
+ */
+function renderLineChart(points, { title, unit = '', color = '#2f6fde', min = null, max = null }) {
+  const data = points.filter(point => typeof point.value === 'number' && !Number.isNaN(point.value));
+  const header = `<h4>${escapeHtml(title)}</h4>`;
+
+  if (data.length === 0) {
+    return `<div class="chart">${header}<p class="empty">No data</p></div>`;
+  }
+
+  const innerWidth = CHART_WIDTH - CHART_PADDING.left - CHART_PADDING.right;
+  const innerHeight = CHART_HEIGHT - CHART_PADDING.top - CHART_PADDING.bottom;
+  const times = data.map(point => point.time);
+  const values = data.map(point => point.value);
+  const minTime = Math.min(...times);
+  const maxTime = Math.max(...times);
+  let minValue = min !== null ? min : Math.min(...values);
+  let maxValue = max !== null ? max : Math.max(...values);
+  if (minValue === maxValue) {
+    minValue -= 1;
+    maxValue += 1;
+  }
+
+  const x = time => CHART_PADDING.left + (maxTime === minTime ? innerWidth / 2 : ((time - minTime) / (maxTime - minTime)) * innerWidth);
+  const y = value => CHART_PADDING.top + innerHeight - ((value - minValue) / (maxValue - minValue)) * innerHeight;
+
+  const line = data.map(point => `${x(point.time).toFixed(1)},${y(point.value).toFixed(1)}`).join(' ');
+  const dots = data.length <= 60
+    ? data.map(point => `<circle cx="${x(point.time).toFixed(1)}" cy="${y(point.value).toFixed(1)}" r="2" fill="${color}"><title>${escapeHtml(new Date(point.time).toISOString())}: ${formatNumber(point.value)}${escapeHtml(unit)}</title></circle>`).join('')
+    : '';
+  const latest = data[data.length - 1].value;
+
+  return `<div class="chart">${header}
+<svg viewBox="0 0 ${CHART_WIDTH} ${CHART_HEIGHT}" width="100%" role="img" aria-label="${escapeHtml(title)}">
+<line x1="${CHART_PADDING.left}" y1="${CHART_PADDING.top}" x2="${CHART_PADDING.left}" y2="${CHART_PADDING.top + innerHeight}" class="axis"/>
+<line x1="${CHART_PADDING.left}" y1="${CHART_PADDING.top + innerHeight}" x2="${CHART_PADDING.left + innerWidth}" y2="${CHART_PADDING.top + innerHeight}" class="axis"/>
+<text x="${CHART_PADDING.left - 6}" y="${CHART_PADDING.top + 4}" text-anchor="end">${formatNumber(maxValue)}</text>
+<text x="${CHART_PADDING.left - 6}" y="${CHART_PADDING.top + innerHeight}" text-anchor="end">${formatNumber(minValue)}</text>
+<text x="${CHART_PADDING.left}" y="${CHART_HEIGHT - 6}">${escapeHtml(new Date(minTime).toISOString().slice(0, 10))}</text>
+<text x="${CHART_PADDING.left + innerWidth}" y="${CHART_HEIGHT - 6}" text-anchor="end">${escapeHtml(new Date(maxTime).toISOString().slice(0, 10))}</text>
+<polyline points="${line}" fill="none" stroke="${color}" stroke-width="1.5"/>
+${dots}
+</svg>
+<p class="latest">Latest: <strong>${formatNumber(latest)}${escapeHtml(unit)}</strong></p></div>`;
+}
+
+/**
+ * Success rate per day as percentage points
+ */
+function dailySuccessRate(records) {
+  const days = new Map();
+  records.forEach(record => {
+    const day = String(record.timestamp).slice(0, 10);
+    const entry = days.get(day) || { total: 0, successful: 0 };
+    entry.total++;
+    if (record.status === 'success') {
+      entry.successful++;
+    }
+    days.set(day, entry);
+  });
+  return [...days.entries()].map(([day, entry]) => ({
+    time: Date.parse(`${day}T12:00:00Z`),
+    value: (entry.successful / entry.total) * 100
+  }));
+}
+
+/**
+ * Copy a screenshot into the dashboard's screenshots/ directory
+ * Returns its path relative to index.html, or null when the file is not there.
+ */
+async function copyScreenshot(screenshotsDir, outputDir, file) {
+  if (!file) {
+    return null;
+  }
+  const name = path.basename(file);
+  try {
+    await fs.mkdir(path.join(outputDir, 'screenshots'), { recursive: true });
+    await fs.copyFile(path.resolve(screenshotsDir, name), path.join(outputDir, 'screenshots', name));
+    return `screenshots/${encodeURIComponent(name)}`;
+  } catch (error) {
+    return null;
+  }
+}
+
+async function renderInstance(key, records, { screenshotsDir, outputDir }) {
+  const points = records.map(record => ({ time: Date.parse(record.timestamp), record }))
+    .filter(point => !Number.isNaN(point.time));
+  const successes = points.filter(point => point.record.status === 'success');
+  const latest = records[records.length - 1];
+  const latestSuccess = [...records].reverse().find(record => record.status === 'success' && record.metrics);
+  const successRate = records.length > 0 ? (records.filter(record => record.status === 'success').length / records.length) * 100 : null;
+
+  const metric = (select) => successes.map(point => ({ time: point.time, value: select(point.record.metrics || {}) }));
+
+  const charts = [
+    renderLineChart(metric(metrics => metrics.memory ? metrics.memory.freePercent : null), { title: 'JVM free memory', unit: '%', min: 0, max: 100, color: '#2f9e44' }),
+    renderLineChart(metric(metrics => metrics.uptime && typeof metrics.uptime.seconds === 'number' ? metrics.uptime.seconds / 3600 : null), { title: 'Uptime', unit: ' h', min: 0, color: '#7048e8' }),
+    renderLineChart(successes.map(point => ({ time: point.time, value: point.record.pageLoadMs })), { title: 'stats.do load time', unit: ' ms', min: 0, color: '#f08c00' }),
+    renderLineChart(points.map(point => ({ time: point.time, value: point.record.durationMs })), { title: 'Total probe duration', unit: ' ms', min: 0, color: '#1c7ed6' }),
+    renderLineChart(dailySuccessRate(records), { title: 'Daily success rate', unit: '%', min: 0, max: 100, color: '#e03131' })
+  ];
+
+  const screenshot = screenshotsDir && latestSuccess && latestSuccess.files
+    ? await copyScreenshot(screenshotsDir, outputDir, latestSuccess.files.screenshot)
+    : null;
+
+  const build = latestSuccess && latestSuccess.metrics && latestSuccess.metrics.build ? latestSuccess.metrics.build : {};
+  const statusClass = !latest ? 'fail' : latest.status === 'success' ? 'ok' : latest.status === 'hibernating' ? 'idle' : 'fail';
+
+  return `<section class="instance">
+<h2>${escapeHtml(key)} <span class="status ${statusClass}">${escapeHtml(latest ? latest.status : 'unknown')}</span></h2>
+<table class="facts">
+<tr><th>Last run</th><td>${escapeHtml(latest ? latest.timestamp : '–')}</td></tr>
+<tr><th>Runs recorded</th><td>${records.length}</td></tr>
+<tr><th>Success rate</th><td>${formatNumber(successRate)}%</td></tr>
+<tr><th>Build</th><td>${escapeHtml(build.name || '–')} ${escapeHtml(build.tag || '')}</td></tr>
+${latest && latest.error ? `<tr><th>Last error</th><td>${escapeHtml(latest.error)}</td></tr>` : ''}
+</table>
+<div class="charts">${charts.join('\n')}</div>
+${screenshot ? `<figure><a href="${screenshot}"><img class="thumb" src="${screenshot}" alt="Latest stats.do screenshot for ${escapeHtml(key)}"></a><figcaption>Latest screenshot (${escapeHtml(latestSuccess.timestamp)})</figcaption></figure>` : ''}
+</section>`;
+}
+
+/**
+ * Build the dashboard HTML for all instances in the history
+ * Screenshots are only included when `screenshotsDir` is set; they are copied to
+ * `outputDir`, where index.html is written.
+ */
+async function renderDashboard(records, { screenshotsDir = null, outputDir = 'stats-dashboard', generatedAt = new Date() } = {}) {
+  const keys = [...new Set(records.map(record => record.key))].sort();
+  const sections = [];
+  for (const key of keys) {
+    sections.push(await renderInstance(key, records.filter(record => record.key === key), { screenshotsDir, outputDir }));
+  }
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>ServiceNow PDI Stats Dashboard</title>
+<style>
+body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Helvetica, Arial, sans-serif; margin: 0; padding: 24px; background: #f6f8fa; color: #1f2328; }
+h1 { margin-top: 0; }
+.instance { background: #fff; border: 1px solid #d0d7de; border-radius: 8px; padding: 16px 20px; margin-bottom: 24px; }
+.status { font-size: 0.6em; padding: 2px 8px; border-radius: 10px; vertical-align: middle; color: #fff; }
+.status.ok { background: #2f9e44; }
+.status.fail { background: #e03131; }
+.status.idle { background: #868e96; }
+.facts th { text-align: left; padding-right: 16px; font-weight: 600; }
+.charts { display: grid; grid-template-columns: repeat(auto-fill, minmax(360px, 1fr)); gap: 16px; margin-top: 12px; }
+.chart h4 { margin: 0 0 4px; }
+.chart svg text { font-size: 10px; fill: #57606a; }
+.chart .axis { stroke: #d0d7de; }
+.chart .latest, .chart .empty { margin: 4px 0 0; font-size: 0.9em; color: #57606a; }
+.thumb { max-width: 320px; border: 1px solid #d0d7de; border-radius: 4px; }
+footer { color: #57606a; font-size: 0.85em; }
+</style>
+</head>
+<body>
+<h1>ServiceNow PDI Stats Dashboard</h1>
+${sections.length > 0 ? sections.join('\n') : '<p>No history recorded yet.</p>'}
+<footer>Generated ${escapeHtml(generatedAt.toISOString())} from ${records.length} history record(s).</footer>
+</body>
+</html>
+`;
+}
+
+function parseArgs(argv) {
+  const args = { historyDir: null, outputDir: 'stats-dashboard', includeScreenshots: false, screenshotsDir: '.', days: null };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--history-dir') {
+      args.historyDir = argv[++i];
+    } else if (arg === '--output-dir') {
+      args.outputDir = argv[++i];
+    } else if (arg === '--include-screenshots') {
+      args.includeScreenshots = true;
+    } else if (arg === '--screenshots-dir') {
+      args.screenshotsDir = argv[++i];
+    } else if (arg === '--days') {
+      args.days = parseInt(argv[++i], 10);
+    } else {
+      throw new Error(`Unknown argument: ${arg}`);
+    }
+  }
+  return args;
+}
+
+async function main(argv = process.argv.slice(2)) {
+  const args = parseArgs(argv);
+
+  let historyConfig = {};
+  try {
+    historyConfig = (await readConfig('stats', { argv: [] })).config.history || {};
+  } catch (error) {
+    console.error('Ignoring the stats configuration, it could not be read:', error.message);
+  }
+
+  const options = resolveHistoryOptions(historyConfig);
+  if (args.historyDir) {
+    options.dir = args.historyDir;
+  }
+
+  const history = new HistoryStore(options);
+  let records = await history.load();
+  if (args.days) {
+    const cutoff = Date.now() - args.days * 24 * 60 * 60 * 1000;
+    records = records.filter(record => Date.parse(record.timestamp) >= cutoff);
+  }
+  console.log(`Loaded ${records.length} history record(s) from ${history.file}`);
+
+  await fs.mkdir(args.outputDir, { recursive: true });
+  // Screenshots are published as taken, so they are left out unless asked for
+  const screenshotsDir = args.includeScreenshots ? args.screenshotsDir : null;
+  const html = await renderDashboard(records, { screenshotsDir, outputDir: args.outputDir });
+
+  const outputFile = path.join(args.outputDir, 'index.html');
+  await fs.writeFile(outputFile, html);
+  // Serve the directory as-is on GitHub Pages
+  await fs.writeFile(path.join(args.outputDir, '.nojekyll'), '');
+  console.log(`Dashboard written: ${outputFile}`);
+}
+
+if (require.main === module) {
+  main().catch(error => {
+    console.error('Fatal error:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  main,
+  renderDashboard,
+  renderLineChart
+};
@@ -0,0 +1,356 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+/**
+ * Markdown report of a single stats or keepalive run
+ *
+ * Usage:
+ *   node src/report-run.js <stats-summary.json | developer-summary.json> [--output file] [--artifact-url url] [--artifact-name name]
+ *
+ * Renders the summary written by scrape-stats.js or developer-login.js: a status
+ * table per instance or account, step durations, failures with their codes,
+ * alerts, probe results, changes since the last run and links to the saved files. The report
+ * is written to report.md next to the summary (or --output), and appended to
+ * GITHUB_STEP_SUMMARY when running in GitHub Actions. The scripts write the
+ * same report.md at the end of every run.
+ *
+ * Files are linked relative to the report, which works locally and inside the
+ * downloaded artifact. With --artifact-url, e.g. on the job summary page where
+ * relative links lead nowhere, file names are listed with a link to the artifact.
+ */
+
+const TITLES = {
+  stats: 'ServiceNow Stats Collection Summary',
+  keepalive: 'Developer Account Keepalive Summary'
+};
+
+const STATUS_ICONS = {
+  success: '✅',
+  failed: '❌',
+  hibernating: '💤',
+  maintenance: '🛠️'
+};
+
+function escapeMarkdown(value) {
+  return String(value === null || value === undefined ? '' : value).replace(/\|/g, '\\|').replace(/\s+/g, ' ');
+}
+
+function formatMs(ms) {
+  if (typeof ms !== 'number') {
+    return '-';
+  }
+  return ms < 1000 ? `${Math.round(ms)} ms` : `${(ms / 1000).toFixed(1)} s`;
+}
+
+function formatStatus(status) {
+  return `${STATUS_ICONS[status] || '⚠️'} ${status || 'unknown'}`;
+}
+
+function runUrl() {
+  const { GITHUB_SERVER_URL, GITHUB_REPOSITORY, GITHUB_RUN_ID } = process.env;
+  return GITHUB_SERVER_URL && GITHUB_REPOSITORY && GITHUB_RUN_ID
+    ? `${GITHUB_SERVER_URL}/${GITHUB_REPOSITORY}/actions/runs/${GITHUB_RUN_ID}`
+    : null;
+}
+
+function table(header, rows) {
+  return [
+    `| ${header.join(' | ')} |`,
+    `|${header.map(() => '---').join('|')}|`,
+    ...rows.map(row => `| ${row.join(' | ')} |`)
+  ];
+}
+
+/**
+ * Link to a file written by the run
+ * Every file is saved next to the summary, so only its name is used; `filesDir`
+ * is that directory, relative to the report.
+ */
+function fileLink(file, label, { filesDir = '.', artifactUrl = null } = {}) {
+  if (!file) {
+    return null;
+  }
+  const name = path.basename(file);
+  // Inside the artifact the file has to be found by its full name
+  if (artifactUrl) {
+    return `\`${name}\``;
+  }
+  const target = path.join(filesDir, name).split(path.sep).join('/');
+  return `[${escapeMarkdown(label || name)}](${encodeURI(target)})`;
+}
+
+function stepDurationTable(entries, nameKey) {
+  const steps = [];
+  entries.forEach(entry => Object.keys(entry.timings || {}).forEach(step => {
+    if (!steps.includes(step)) {
+      steps.push(step);
+    }
+  }));
+  if (steps.length === 0) {
+    return [];
+  }
+  const rows = entries.map(entry => [
+    escapeMarkdown(entry[nameKey]),
+    ...steps.map(step => formatMs(entry.timings && entry.timings[step] ? entry.timings[step].durationMs : null))
+  ]);
+  return ['### ⏱️ Step Durations', '', ...table([nameKey === 'instance' ? 'Instance' : 'Account', ...steps], rows), ''];
+}
+
+function failureTable(failures, nameKey) {
+  if (failures.length === 0) {
+    return [];
+  }
+  const rows = failures.map(failure => [
+    `**${escapeMarkdown(failure[nameKey])}**`,
+    formatStatus(failure.status || 'failed'),
+    `\`${failure.code || 'UNKNOWN'}\``,
+    failure.step || 'start',
+    failure.attempts || 1,
+    escapeMarkdown(failure.error)
+  ]);
+  return ['### ⚠️ Failures', '', ...table([nameKey === 'instance' ? 'Instance' : 'Account', 'Status', 'Code', 'Step', 'Attempts', 'Error'], rows), ''];
+}
+
+function header(source, summary, options) {
+  const lines = [`## ${TITLES[source]}`, '', `**Run Time:** ${summary.timestamp || 'unknown'}`, ''];
+  const url = runUrl();
+  if (url) {
+    lines.push(`**Workflow Run:** [#${process.env.GITHUB_RUN_NUMBER || process.env.GITHUB_RUN_ID}](${url})`, '');
+  }
+  if (options.artifactUrl) {
+    lines.push(`**Files:** [${escapeMarkdown(options.artifactName || 'artifact')}](${options.artifactUrl})`, '');
+  }
+  return lines;
+}
+
+function totals(summary, label) {
+  const lines = [
+    '### Results',
+    '',
+    `- **Total ${label}:** ${summary.total}`,
+    `- **✅ Successful:** ${summary.successful}`,
+    `- **❌ Failed:** ${summary.failed}`
+  ];
+  if (summary.ignored > 0) {
+    lines.push(`- **💤 Hibernating (not counted):** ${summary.ignored}`);
+  }
+  if (summary.retries > 0) {
+    lines.push(`- **🔁 Retries:** ${summary.retries}`);
+  }
+  const codes = Object.entries(summary.failureCodes || {});
+  if (codes.length > 0) {
+    lines.push(`- **Failure codes:** ${codes.map(([code, count]) => `\`${code}\` × ${count}`).join(', ')}`);
+  }
+  lines.push('');
+  return lines;
+}
+
+function renderStatsReport(summary, options = {}) {
+  const instances = summary.instances || [];
+  const lines = [...header('stats', summary, options), ...totals(summary, 'Instances')];
+
+  if (instances.length > 0) {
+    const rows = instances.map(entry => {
+      const files = (entry.collectors || []).flatMap(collector => {
+        const saved = collector.files || {};
+        return [
+          fileLink(saved.raw, `${collector.name}${path.extname(saved.raw || '')}`, options),
+          fileLink(saved.json, `${collector.name}.json`, options),
+          fileLink(saved.screenshot, `${collector.name}.png`, options)
+        ];
+      }).filter(Boolean);
+      return [
+        `**${escapeMarkdown(entry.instance)}**`,
+        formatStatus(entry.status),
+        entry.mode || 'browser',
+        entry.attempts || 1,
+        formatMs(entry.loginMs),
+        formatMs(entry.durationMs),
+        entry.previous ? `${formatStatus(entry.previous.status)} at ${entry.previous.timestamp}` : '-',
+        files.length > 0 ? files.join(' ') : '-'
+      ];
+    });
+    lines.push('### Instances', '', ...table(['Instance', 'Status', 'Mode', 'Attempts', 'Login', 'Duration', 'Previous run', 'Files'], rows), '');
+  }
+
+  lines.push(...stepDurationTable(instances, 'instance'));
+  lines.push(...failureTable((summary.failures || []).filter(Boolean), 'instance'));
+
+  const alerts = summary.alerts || [];
+  if (alerts.length > 0) {
+    const rows = alerts.map(alert => [`**${escapeMarkdown(alert.instance)}**`, alert.severity, escapeMarkdown(alert.rule), escapeMarkdown(alert.message)]);
+    lines.push('### 🚨 Alerts', '', ...table(['Instance', 'Severity', 'Rule', 'Message'], rows), '');
+  }
+
+  const changes = summary.changeEvents || [];
+  if (changes.length > 0) {
+    const rows = changes.map(change => [
+      `**${escapeMarkdown(change.instance)}**`,
+      change.type,
+      `\`${escapeMarkdown(change.before)}\``,
+      `\`${escapeMarkdown(change.after)}\``,
+      change.previousTimestamp || '-'
+    ]);
+    lines.push('### 🔄 Changes Since Last Run', '', ...table(['Instance', 'Change', 'Before', 'After', 'Previous run'], rows), '');
+  }
+
+  const visualChanges = summary.visualChanges || [];
+  if (visualChanges.length > 0) {
+    const rows = visualChanges.map(visual => [
+      `**${escapeMarkdown(visual.instance)}**`,
+      visual.collector,
+      `${visual.mismatchPercent}% (threshold ${visual.thresholdPercent}%)`,
+      fileLink(visual.screenshot, null, options) || '-',
+      fileLink(visual.diff, null, options) || '-'
+    ]);
+    lines.push('### 🖼️ Visual Changes', '', ...table(['Instance', 'Collector', 'Changed pixels', 'Screenshot', 'Diff'], rows), '');
+  }
+
+  const probes = instances.flatMap(entry => (entry.probes || []).map(probe => ({ instance: entry.instance, ...probe })));
+  if (probes.length > 0) {
+    const rows = probes.map(probe => {
+      const failedChecks = (probe.assertions || []).filter(assertion => !assertion.passed).map(assertion => assertion.check);
+      const values = Object.entries(probe.values || {}).map(([key, value]) => `${key}: \`${escapeMarkdown(value)}\``);
+      return [
+        `**${escapeMarkdown(probe.instance)}**`,
+        escapeMarkdown(probe.name),
+        probe.passed ? '✅ passed' : '❌ failed',
+        escapeMarkdown(probe.error || failedChecks.join('; ')) || '-',
+        values.length > 0 ? values.join(', ') : '-',
+        formatMs(probe.loadTimeMs),
+        fileLink(probe.screenshot, null, options) || '-'
+      ];
+    });
+    lines.push('### 🔎 Probes', '', ...table(['Instance', 'Probe', 'Result', 'Failed checks', 'Values', 'Load', 'Screenshot'], rows), '');
+  }
+
+  const collectorFailures = summary.collectorFailures || [];
+  if (collectorFailures.length > 0) {
+    const rows = collectorFailures.map(failure => [`**${escapeMarkdown(failure.instance)}**`, failure.collector, `\`${failure.code || 'UNKNOWN'}\``, escapeMarkdown(failure.error)]);
+    lines.push('### 📄 Collector Failures', '', ...table(['Instance', 'Collector', 'Code', 'Error'], rows), '');
+  }
+
+  const parseErrors = summary.parseErrors || [];
+  if (parseErrors.length > 0) {
+    const rows = parseErrors.map(parseError => [`**${escapeMarkdown(parseError.instance)}**`, parseError.collector || 'stats', escapeMarkdown(parseError.section), escapeMarkdown(parseError.error)]);
+    lines.push('### 🧩 Stats Parser Errors', '', ...table(['Instance', 'Collector', 'Section', 'Error'], rows), '');
+  }
+
+  return lines.join('\n');
+}
+
+function renderKeepaliveReport(summary, options = {}) {
+  const accounts = summary.accounts || [];
+  const lines = [...header('keepalive', summary, options), ...totals(summary, 'Accounts')];
+
+  if (accounts.length > 0) {
+    const rows = accounts.map(entry => {
+      const screenshots = (entry.screenshots || []).map(file => fileLink(file, null, options));
+      return [
+        `**${escapeMarkdown(entry.account)}**`,
+        formatStatus(entry.status),
+        entry.attempts || 1,
+        formatMs(entry.loginMs),
+        formatMs(entry.durationMs),
+        screenshots.length > 0 ? screenshots.join(' ') : '-'
+      ];
+    });
+    lines.push('### Accounts', '', ...table(['Account', 'Status', 'Attempts', 'Login', 'Duration', 'Screenshots'], rows), '');
+  }
+
+  lines.push(...stepDurationTable(accounts, 'account'));
+  lines.push(...failureTable(summary.failures || [], 'account'));
+
+  const visualChanges = summary.visualChanges || [];
+  if (visualChanges.length > 0) {
+    const rows = visualChanges.map(visual => [
+      `**${escapeMarkdown(visual.account)}**`,
+      visual.step,
+      `${visual.mismatchPercent}% (threshold ${visual.thresholdPercent}%)`,
+      fileLink(visual.screenshot, null, options) || '-',
+      fileLink(visual.diff, null, options) || '-'
+    ]);
+    lines.push('### 🖼️ Visual Changes', '', ...table(['Account', 'Step', 'Changed pixels', 'Screenshot', 'Diff'], rows), '');
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Render a stats-summary.json or developer-summary.json as Markdown
+ * `filesDir` is where the run's files are relative to the report (default: the same directory).
+ */
+function renderRunReport(summary, options = {}) {
+  return Array.isArray(summary.accounts) ? renderKeepaliveReport(summary, options) : renderStatsReport(summary, options);
+}
+
+/**
+ * Write report.md for a run, next to its summary
+ */
+async function writeRunReport(outputDir, summary) {
+  const file = path.join(outputDir, 'report.md');
+  await fs.writeFile(file, `${renderRunReport(summary)}\n`);
+  return file;
+}
+
+function parseArgs(argv) {
+  const args = { summary: null, output: null, artifactUrl: null, artifactName: null };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--output') {
+      args.output = argv[++i];
+    } else if (arg === '--artifact-url') {
+      args.artifactUrl = argv[++i] || null;
+    } else if (arg === '--artifact-name') {
+      args.artifactName = argv[++i] || null;
+    } else if (!args.summary && !arg.startsWith('--')) {
+      args.summary = arg;
+    } else {
+      throw new Error(`Unknown argument: ${arg}`);
+    }
+  }
+  if (!args.summary) {
+    throw new Error('Usage: node src/report-run.js <stats-summary.json | developer-summary.json> [--output file] [--artifact-url url] [--artifact-name name]');
+  }
+  return args;
+}
+
+async function main(argv = process.argv.slice(2)) {
+  const args = parseArgs(argv);
+  const output = args.output || path.join(path.dirname(args.summary), 'report.md');
+
+  let markdown;
+  try {
+    const summary = JSON.parse(await fs.readFile(args.summary, 'utf8'));
+    markdown = renderRunReport(summary, {
+      filesDir: path.relative(path.dirname(output), path.dirname(args.summary)) || '.',
+      artifactUrl: args.artifactUrl,
+      artifactName: args.artifactName
+    });
+  } catch (error) {
+    // The run stopped before writing its summary; say so instead of failing the summary step too
+    console.error(`Could not read ${args.summary}:`, error.message);
+    markdown = `## Run Summary\n\nNo summary was written (${path.basename(args.summary)}: ${error.code === 'ENOENT' ? 'not found' : error.message}). The run stopped early, see the job log.\n`;
+  }
+
+  await fs.mkdir(path.dirname(output), { recursive: true });
+  await fs.writeFile(output, `${markdown}\n`);
+  console.log(`Run report written: ${output}`);
+  if (process.env.GITHUB_STEP_SUMMARY) {
+    await fs.appendFile(process.env.GITHUB_STEP_SUMMARY, `${markdown}\n`);
+    console.log('Run report added to the job summary');
+  }
+}
+
+if (require.main === module) {
+  main().catch(error => {
+    console.error('Fatal error:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  main,
+  renderRunReport,
+  writeRunReport
+};
@@ -0,0 +1,226 @@
+/**
+ * Browserless health probe using the instance REST API with basic auth
+ * Exposes the same init/login/collect/close methods as ServiceNowScraper,
+ * so both kinds of probe can be processed by the same loop.
+ */
+
+const { classifyPage, classifyHtml, stateError } = require('./page-classifier');
+const { stepKey, requestTiming } = require('./page-timings');
+
+const DEFAULT_TIMEOUT_MS = 60000;
+
+const BUILD_PROPERTIES = {
+  'glide.buildname': 'name',
+  'glide.buildtag': 'tag',
+  'glide.builddate': 'date'
+};
+
+class RestProbe {
+  constructor(instanceUrl, username, password, instanceName, options = {}) {
+    this.instanceUrl = instanceUrl.replace(/\/$/, ''); // Remove trailing slash
+    this.username = username;
+    this.password = password;
+    this.instanceName = instanceName;
+    this.timeoutMs = options.timeoutMs || DEFAULT_TIMEOUT_MS;
+    this.statsPath = options.statsPath || null;
+    this.authorization = `Basic ${Buffer.from(`${username}:${password}`).toString('base64')}`;
+    this.abortController = new AbortController();
+    this.verbose = options.verbose === true;
+    this.timings = {};
+    this.step = null;
+  }
+
+  // Sanitize error messages to remove URLs
+  sanitizeError(error) {
+    let message = error.message || error.toString();
+    message = message.replace(/https?:\/\/[^\s]+/gi, '[INSTANCE_URL]');
+    if (this.instanceUrl) {
+      const domain = this.instanceUrl.replace(/^https?:\/\//, '').replace(/\/.*$/, '');
+      message = message.replace(new RegExp(domain, 'gi'), '[INSTANCE]');
+    }
+    return message;
+  }
+
+  get step() {
+    return this.currentStep;
+  }
+
+  set step(step) {
+    this.currentStep = step;
+    if (this.verbose && step) {
+      console.log(`Step: ${step}`);
+    }
+  }
+
+  async init() {
+    console.log('Using REST API probe (no browser)...');
+  }
+
+  async request(pathAndQuery, { accept = 'application/json' } = {}) {
+    const response = await fetch(`${this.instanceUrl}${pathAndQuery}`, {
+      headers: {
+        Authorization: this.authorization,
+        Accept: accept
+      },
+      redirect: 'manual',
+      signal: AbortSignal.any([AbortSignal.timeout(this.timeoutMs), this.abortController.signal])
+    });
+
+    // A hibernating or retired instance answers with an HTML page instead of the API
+    const contentType = response.headers.get('content-type') || '';
+    if (accept === 'application/json' && /text\/html/i.test(contentType)) {
+      const classification = classifyHtml(await response.text(), { url: response.url, instanceUrl: this.instanceUrl });
+      throw stateError(classification) || new Error(`REST request returned an HTML page instead of JSON (${classification.reason})`);
+    }
+    if (response.status >= 300 && response.status < 400) {
+      const blocked = stateError(classifyPage({ url: response.headers.get('location') || '', instanceUrl: this.instanceUrl }));
+      if (blocked) {
+        throw blocked;
+      }
+    }
+
+    if (response.status === 401 || response.status === 403) {
+      throw new Error(`REST request rejected with HTTP ${response.status} - check credentials and roles`);
+    }
+    if (response.status >= 300 && response.status < 400) {
+      throw new Error(`REST request redirected with HTTP ${response.status} - basic auth may not be accepted`);
+    }
+    if (!response.ok) {
+      throw new Error(`REST request failed with HTTP ${response.status}`);
+    }
+    return response;
+  }
+
+  async table(table, query, fields) {
+    const params = new URLSearchParams({
+      sysparm_query: query,
+      sysparm_fields: fields.join(','),
+      sysparm_limit: '100'
+    });
+    const response = await this.request(`/api/now/table/${table}?${params}`);
+    const body = await response.json();
+    return Array.isArray(body.result) ? body.result : [];
+  }
+
+  // Basic auth has no separate login step, so check the credentials with a cheap Table API read
+  async login() {
+    console.log('Checking REST API credentials...');
+    this.step = 'login';
+    try {
+      const startedAt = Date.now();
+      await this.table('sys_properties', 'name=glide.buildname', ['name']);
+      this.timings.login = requestTiming({ startedAt, finishedAt: Date.now(), path: '/api/now/table/sys_properties' });
+      console.log('REST API credentials accepted');
+      return true;
+    } catch (error) {
+      console.error('Login error:', this.sanitizeError(error));
+      throw error;
+    }
+  }
+
+  async collectBuild() {
+    const rows = await this.table('sys_properties', `nameIN${Object.keys(BUILD_PROPERTIES).join(',')}`, ['name', 'value']);
+    const build = {};
+    rows.forEach(row => {
+      if (BUILD_PROPERTIES[row.name] && row.value) {
+        build[BUILD_PROPERTIES[row.name]] = row.value;
+      }
+    });
+    return build;
+  }
+
+  async collectCluster() {
+    const rows = await this.table('sys_cluster_state', 'status=online', ['system_id', 'node_id', 'status']);
+    return {
+      nodeCount: rows.length,
+      nodes: rows.map(row => row.system_id || row.node_id).filter(Boolean)
+    };
+  }
+
+  /**
+   * Fetch a collector's page over HTTP with basic auth
+   * Pages are not rendered, so browser-side evaluate() steps are skipped.
+   * The stats collector additionally reads build and cluster data from the Table API.
+   */
+  async collect(collector) {
+    console.log(`Collecting ${collector.name} over REST...`);
+    this.step = collector.name;
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const isStats = collector.name === 'stats';
+    const rest = isStats ? { build: null, cluster: null, errors: [] } : null;
+
+    if (isStats) {
+      const collect = async (name, collector) => {
+        try {
+          rest[name] = await collector();
+        } catch (error) {
+          rest.errors.push({ section: `rest.${name}`, message: this.sanitizeError(error) });
+        }
+      };
+      await collect('build', () => this.collectBuild());
+      await collect('cluster', () => this.collectCluster());
+    }
+
+    const path = (isStats && this.statsPath) || collector.path;
+    let content = null;
+    let loadTimeMs = null;
+    try {
+      const loadStarted = Date.now();
+      const response = await this.request(path, { accept: collector.fileExtension === 'xml' ? 'text/xml' : 'text/html' });
+      const headersAt = Date.now();
+      content = await response.text();
+      loadTimeMs = Date.now() - loadStarted;
+      this.timings[stepKey(collector.name)] = requestTiming({ startedAt: loadStarted, headersAt, finishedAt: Date.now(), path });
+    } catch (error) {
+      if (!isStats) {
+        throw error;
+      }
+      rest.errors.push({ section: 'rest.stats', message: this.sanitizeError(error) });
+    }
+
+    if (isStats && content === null && !rest.build && !rest.cluster) {
+      throw new Error(`REST probe collected no data: ${rest.errors.map(error => error.message).join('; ')}`);
+    }
+
+    return {
+      content,
+      evaluated: undefined,
+      screenshot: null,
+      timestamp,
+      instanceName: this.instanceName,
+      loadTimeMs,
+      rest
+    };
+  }
+
+  async close() {
+    // No browser to clean up, only cancel requests still in flight
+    this.abortController.abort();
+  }
+}
+
+/**
+ * Fill gaps in a parsed stats document with data collected from the Table API
+ */
+function mergeRestData(document, rest) {
+  if (!rest) {
+    return document;
+  }
+  if (rest.build && Object.keys(rest.build).length > 0) {
+    document.build = { name: null, tag: null, date: null, ...(document.build || {}) };
+    for (const [key, value] of Object.entries(rest.build)) {
+      if (!document.build[key]) {
+        document.build[key] = value;
+      }
+    }
+  }
+  if (rest.cluster && rest.cluster.nodeCount > 0 && !document.cluster) {
+    document.cluster = rest.cluster;
+  }
+  return document;
+}
+
+module.exports = {
+  RestProbe,
+  mergeRestData
+};
@@ -0,0 +1,116 @@
+const { FAILURE_CODES, RETRYABLE_CODES } = require('./failure-classifier');
+
+/**
+ * Retry policy for instance probes
+ * The delay before attempt n+1 grows exponentially from `baseDelayMs`, capped
+ * at `maxDelayMs`, and is shortened by up to `jitter` (a fraction) at random
+ * so instances that failed together do not retry in lockstep.
+ */
+
+const DEFAULT_RETRY = {
+  attempts: 1,
+  baseDelayMs: 5000,
+  maxDelayMs: 60000,
+  factor: 2,
+  jitter: 0.5
+};
+
+/**
+ * Merge the global `retry` block with an instance's own overrides
+ * A plain number is shorthand for { attempts }.
+ */
+function resolveRetryOptions(globalConfig, instanceConfig) {
+  const normalize = config => (typeof config === 'number' ? { attempts: config } : (config || {}));
+  const options = { ...DEFAULT_RETRY, ...normalize(globalConfig), ...normalize(instanceConfig) };
+  return {
+    attempts: options.attempts,
+    baseDelayMs: options.baseDelayMs,
+    maxDelayMs: options.maxDelayMs,
+    factor: options.factor,
+    jitter: options.jitter,
+    retryOn: options.retryOn || RETRYABLE_CODES
+  };
+}
+
+/**
+ * Validate a `retry` block, returning a list of problems
+ */
+function validateRetry(retry, label) {
+  if (retry === undefined) {
+    return [];
+  }
+  if (typeof retry === 'number') {
+    return Number.isInteger(retry) && retry >= 1 ? [] : [`${label} must be a positive integer number of attempts`];
+  }
+  if (!retry || typeof retry !== 'object' || Array.isArray(retry)) {
+    return [`${label} must be an object or a number of attempts`];
+  }
+
+  const problems = [];
+  if (retry.attempts !== undefined && (!Number.isInteger(retry.attempts) || retry.attempts < 1)) {
+    problems.push(`${label}.attempts must be a positive integer`);
+  }
+  ['baseDelayMs', 'maxDelayMs'].forEach(key => {
+    if (retry[key] !== undefined && (typeof retry[key] !== 'number' || retry[key] < 0)) {
+      problems.push(`${label}.${key} must be a number of milliseconds`);
+    }
+  });
+  if (retry.factor !== undefined && (typeof retry.factor !== 'number' || retry.factor < 1)) {
+    problems.push(`${label}.factor must be a number of at least 1`);
+  }
+  if (retry.jitter !== undefined && (typeof retry.jitter !== 'number' || retry.jitter < 0 || retry.jitter > 1)) {
+    problems.push(`${label}.jitter must be between 0 and 1`);
+  }
+  if (retry.retryOn !== undefined) {
+    if (!Array.isArray(retry.retryOn)) {
+      problems.push(`${label}.retryOn must be a list of failure codes`);
+    } else {
+      retry.retryOn.filter(code => !FAILURE_CODES[code]).forEach(code => {
+        problems.push(`${label}.retryOn has unknown failure code "${code}"`);
+      });
+    }
+  }
+  return problems;
+}
+
+/**
+ * Milliseconds to wait after the given (1-based) failed attempt
+ */
+function backoffDelay(attempt, options, random = Math.random) {
+  const delay = Math.min(options.maxDelayMs, options.baseDelayMs * Math.pow(options.factor, attempt - 1));
+  return Math.round(delay * (1 - options.jitter * random()));
+}
+
+/**
+ * Run `attempt` until it succeeds, fails with a code outside `retryOn`, or runs out of attempts
+ * `attempt(n)` returns an outcome and `failureOf(outcome)` its { code, step, error }, or null on success.
+ * Returns the last outcome with the number of attempts and the failed ones.
+ */
+async function runWithRetries(attempt, options, { failureOf, logPrefix = '' }) {
+  const failedAttempts = [];
+  let outcome;
+  for (let number = 1; ; number++) {
+    outcome = await attempt(number);
+    const failed = failureOf(outcome);
+    if (!failed) {
+      break;
+    }
+    failedAttempts.push({ attempt: number, code: failed.code, step: failed.step, error: failed.error });
+    if (number >= options.attempts || !options.retryOn.includes(failed.code)) {
+      break;
+    }
+    const delayMs = backoffDelay(number, options);
+    console.log(`${logPrefix}Attempt ${number}/${options.attempts} failed with ${failed.code}, retrying in ${(delayMs / 1000).toFixed(1)}s...`);
+    await new Promise(resolve => setTimeout(resolve, delayMs));
+  }
+  const succeeded = !failureOf(outcome);
+  return { outcome, attempts: failedAttempts.length + (succeeded ? 1 : 0), failedAttempts };
+}
+
+module.exports = {
+  DEFAULT_RETRY,
+  resolveRetryOptions,
+  validateRetry,
+  backoffDelay,
+  runWithRetries
+};
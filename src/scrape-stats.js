@@ -1,14 +1,57 @@
 const puppeteer = require('puppeteer');
 const fs = require('fs').promises;
 const path = require('path');
+const { HistoryStore, resolveHistoryOptions, toHistoryMetrics } = require('./history-store');
+const { detectChanges, toChangeEvents } = require('./change-detector');
+const { writeStatsTextfile } = require('./metrics-exporter');
+const { RestProbe, mergeRestData } = require('./rest-probe');
+const { resolveCollectors } = require('./collectors');
+const { resolveRules, buildRuleContext, evaluateRules, meetsSeverity } = require('./alert-rules');
+const { BrowserPool } = require('./browser-pool');
+const { InstanceStateError, classifyPage, collectPageSignals, stateError } = require('./page-classifier');
+const { SessionStore, resolveSessionOptions } = require('./session-store');
+const { VisualBaseline, resolveVisualDiffOptions } = require('./visual-diff');
+const { stepKey, capturePageTiming } = require('./page-timings');
+const { LOGIN_PATHS, MFA_PATH, resolveLoginOptions, freshTOTP } = require('./login-options');
+const { mapWithConcurrency, withTimeout, installLogPrefix, runWithLogPrefix } = require('./concurrency');
+const { resolveRedactionOptions, createRedactor, redactValue } = require('./redaction');
+const { failure, classifyFailure, classifyLoginMessage } = require('./failure-classifier');
+const { resolveRetryOptions, runWithRetries } = require('./retry');
+const { ConfigError, loadConfig } = require('./config-loader');
+const { buildStatsEvents, resolveNotificationOptions, sendNotifications } = require('./notifier');
+const { buildStatsTestSuite, writeJUnitReport } = require('./junit-report');
+const { writeRunReport } = require('./report-run');
+const { DEFAULT_WAIT_MS, probeTargets, readProbeTargets, evaluateProbe } = require('./probes');
+
+const BROWSER_LAUNCH_OPTIONS = {
+  headless: 'new',
+  args: [
+    '--no-sandbox',
+    '--disable-setuid-sandbox',
+    '--disable-dev-shm-usage',
+    '--disable-gpu'
+  ]
+};
 
 class ServiceNowScraper {
-  constructor(instanceUrl, username, password, instanceName) {
+  constructor(instanceUrl, username, password, instanceName, options = {}) {
     this.instanceUrl = instanceUrl.replace(/\/$/, ''); // Remove trailing slash
     this.username = username;
     this.password = password;
     this.instanceName = instanceName;
+    this.pool = options.pool || null;
+    this.loginOptions = options.loginOptions || resolveLoginOptions();
+    this.sessionStore = options.sessionStore || null;
+    this.screenshots = options.screenshots !== false;
+    this.launchOptions = options.launchOptions || BROWSER_LAUNCH_OPTIONS;
+    this.outputDir = options.outputDir || '.';
+    this.verbose = options.verbose === true;
+    this.session = null;
+    this.timings = {};
+    // Where the run is, reported with the failure code when something goes wrong
+    this.step = null;
     this.browser = null;
+    this.context = null;
     this.page = null;
   }
   
@@ -24,19 +67,31 @@ class ServiceNowScraper {
     }
     return message;
   }
+  
+  get step() {
+    return this.currentStep;
+  }
+  
+  set step(step) {
+    this.currentStep = step;
+    if (this.verbose && step) {
+      console.log(`Step: ${step}`);
+    }
+  }
 
   async init() {
-    console.log(`Initializing browser...`);
-    this.browser = await puppeteer.launch({
-      headless: 'new',
-      args: [
-        '--no-sandbox',
-        '--disable-setuid-sandbox',
-        '--disable-dev-shm-usage',
-        '--disable-gpu'
-      ]
-    });
-    this.page = await this.browser.newPage();
+    this.step = 'init';
+    if (this.pool) {
+      // Isolated incognito context on a shared browser, so cookies never leak between instances
+      console.log('Opening browser context...');
+      const browser = await this.pool.acquire();
+      this.context = await browser.createBrowserContext();
+      this.page = await this.context.newPage();
+    } else {
+      console.log(`Initializing browser...`);
+      this.browser = await puppeteer.launch(this.launchOptions);
+      this.page = await this.browser.newPage();
+    }
     
     // Set a reasonable viewport
     await this.page.setViewport({ width: 1280, height: 800 });
@@ -46,50 +101,56 @@ class ServiceNowScraper {
   }
 
   async login() {
-    console.log('Navigating to login page...');
-    const loginUrl = `${this.instanceUrl}/login.do`;
+    // Try the cookies saved by an earlier run before logging in again
+    if (this.sessionStore && await this.restoreSession()) {
+      return true;
+    }
+    
+    const sso = this.loginOptions.method === 'sso';
+    console.log(sso ? 'Navigating to SSO login...' : 'Navigating to login page...');
+    const loginUrl = `${this.instanceUrl}${sso ? this.loginOptions.ssoPath : '/login.do'}`;
     
     try {
+      this.step = 'loginPage';
+      const pageStarted = Date.now();
       await this.page.goto(loginUrl, { waitUntil: 'networkidle2' });
+      await this.recordTiming('loginPage', pageStarted);
       
-      // Check if already logged in by looking for common ServiceNow elements
-      const isLoggedIn = await this.page.evaluate(() => {
-        return document.querySelector('#gsft_main') !== null || 
-               document.querySelector('.navpage-main') !== null;
-      });
-      
-      if (isLoggedIn) {
+      // Work out what the instance served before looking for the login form
+      const classification = await this.classifyCurrentPage();
+      if (classification.state === 'logged-in') {
         console.log('Already logged in');
+        this.session = 'fresh';
         return true;
       }
+      const blocked = stateError(classification);
+      if (blocked && !(sso && classification.state === 'sso')) {
+        throw blocked;
+      }
       
-      console.log('Filling login form...');
-      
-      // Wait for and fill username
-      await this.page.waitForSelector('#user_name', { visible: true });
-      await this.page.type('#user_name', this.username);
-      
-      // Fill password
-      await this.page.waitForSelector('#user_password', { visible: true });
-      await this.page.type('#user_password', this.password);
-      
-      // Click login button
-      await this.page.click('#sysverb_login');
-      
-      // Wait for navigation after login
-      await this.page.waitForNavigation({ waitUntil: 'networkidle2' });
+      const landingStarted = Date.now();
+      if (sso) {
+        await this.ssoLogin();
+      } else {
+        await this.formLogin();
+      }
+      await this.recordTiming('landing', landingStarted);
       
       // Verify login success
-      const loginSuccess = await this.page.evaluate(() => {
-        return window.location.pathname !== '/login.do' && 
-               window.location.pathname !== '/login_redirect.do';
-      });
+      const loginSuccess = await this.page.evaluate((instanceHost, loginPaths) => {
+        return window.location.host === instanceHost &&
+               !loginPaths.includes(window.location.pathname);
+      }, new URL(this.instanceUrl).host, LOGIN_PATHS);
       
       if (!loginSuccess) {
-        throw new Error('Login failed - still on login page');
+        // The login page usually says why, e.g. a locked account
+        const pageText = await this.page.evaluate(() => (document.body ? document.body.innerText : '')).catch(() => '');
+        throw failure(classifyLoginMessage(pageText) || 'AUTH_INVALID_CREDENTIALS', 'Login failed - still on login page');
       }
       
       console.log('Login successful');
+      this.session = 'fresh';
+      await this.saveSession();
       return true;
       
     } catch (error) {
@@ -98,133 +159,927 @@ class ServiceNowScraper {
     }
   }
 
-  async scrapeStats() {
-    console.log('Navigating to stats page...');
-    const statsUrl = `${this.instanceUrl}/stats.do`;
+  /**
+   * Load saved cookies and check they still give access to the instance
+   * Returns false (and forgets the session) when it was rejected.
+   */
+  async restoreSession() {
+    const cookies = await this.sessionStore.load(this.instanceName).catch(() => null);
+    if (!cookies) {
+      return false;
+    }
     
+    console.log('Trying saved session...');
+    this.step = 'session';
     try {
-      await this.page.goto(statsUrl, { waitUntil: 'networkidle2' });
+      await this.page.setCookie(...cookies);
+      const landingStarted = Date.now();
+      await this.page.goto(`${this.instanceUrl}/navpage.do`, { waitUntil: 'networkidle2' });
+      await this.recordTiming('landing', landingStarted);
       
-      // Wait for stats content to load
-      await this.page.waitForSelector('body', { visible: true });
+      const accepted = await this.page.evaluate((instanceHost, loginPaths) => {
+        return window.location.host === instanceHost &&
+               !loginPaths.includes(window.location.pathname) &&
+               document.querySelector('#user_name') === null;
+      }, new URL(this.instanceUrl).host, LOGIN_PATHS);
       
-      // Get the HTML content
-      const htmlContent = await this.page.content();
+      if (accepted) {
+        console.log('Saved session accepted');
+        this.session = 'reused';
+        return true;
+      }
+      console.log('Saved session rejected, logging in again');
+    } catch (error) {
+      console.log('Saved session could not be used, logging in again:', this.sanitizeError(error));
+    }
+    
+    // Start the full login from a clean slate
+    await this.page.deleteCookie(...(await this.page.cookies())).catch(() => {});
+    await this.sessionStore.remove(this.instanceName).catch(() => {});
+    return false;
+  }
+
+  async saveSession() {
+    if (!this.sessionStore) {
+      return;
+    }
+    try {
+      await this.sessionStore.save(this.instanceName, await this.page.cookies());
+      console.log('Session saved for the next run');
+    } catch (error) {
+      console.error('Failed to save session:', error.message);
+    }
+  }
+
+  async formLogin() {
+    const selectors = this.loginOptions.selectors;
+    console.log('Filling login form...');
+    this.step = 'login';
+    
+    // Wait for and fill username
+    try {
+      await this.page.waitForSelector(selectors.username, { visible: true });
+    } catch (error) {
+      // The page may have changed since it was classified, e.g. a late redirect
+      throw stateError(await this.classifyCurrentPage()) || error;
+    }
+    await this.page.type(selectors.username, this.username);
+    
+    // Fill password
+    await this.page.waitForSelector(selectors.password, { visible: true });
+    await this.page.type(selectors.password, this.password);
+    
+    // Click login button
+    await Promise.all([
+      this.page.waitForNavigation({ waitUntil: 'networkidle2' }),
+      this.page.click(selectors.submit)
+    ]);
+    
+    // Native ServiceNow MFA asks for a one-time code after the password
+    const onMfaPage = await this.page.evaluate((mfaPath, mfaCode) => {
+      return window.location.pathname === mfaPath || document.querySelector(mfaCode) !== null;
+    }, MFA_PATH, selectors.mfaCode);
+    
+    if (onMfaPage) {
+      this.step = 'mfa';
+      if (!this.loginOptions.totpSecret) {
+        throw failure('MFA_SECRET_MISSING', 'MFA required but no totpSecret configured for this instance');
+      }
+      await this.recordTiming('mfaPage');
+      console.log('Entering MFA code...');
+      await this.page.waitForSelector(selectors.mfaCode, { visible: true });
+      await this.page.type(selectors.mfaCode, await freshTOTP(this.loginOptions.totpSecret));
+      await Promise.all([
+        this.page.waitForNavigation({ waitUntil: 'networkidle2' }),
+        this.page.click(selectors.mfaSubmit)
+      ]);
+      
+      const stillOnMfa = await this.page.evaluate(mfaPath => window.location.pathname === mfaPath, MFA_PATH);
+      if (stillOnMfa) {
+        throw failure('MFA_REJECTED', 'MFA code was rejected');
+      }
+    }
+  }
+
+  async ssoLogin() {
+    const selectors = this.loginOptions.selectors;
+    console.log('Filling identity provider login...');
+    this.step = 'sso';
+    
+    await this.page.waitForSelector(selectors.username, { visible: true });
+    await this.page.type(selectors.username, this.username);
+    
+    // Identity providers that ask for the username and password on separate pages
+    if (selectors.next) {
+      await this.page.click(selectors.next);
+    }
+    
+    await this.page.waitForSelector(selectors.password, { visible: true });
+    await this.page.type(selectors.password, this.password);
+    await this.page.click(selectors.submit);
+    
+    // Answer follow-up prompts until the identity provider sends us back to the instance
+    const prompts = [selectors.totp, selectors.staySignedIn].filter(Boolean);
+    const answered = new Set();
+    for (;;) {
+      const next = await this.waitForInstanceOrSelector(prompts.filter(selector => !answered.has(selector)));
+      if (next === null) {
+        break;
+      }
+      answered.add(next);
+      
+      if (next === selectors.totp) {
+        console.log('Entering identity provider MFA code...');
+        await this.page.type(selectors.totp, await freshTOTP(this.loginOptions.totpSecret));
+        if (selectors.totpSubmit) {
+          await this.page.click(selectors.totpSubmit);
+        } else {
+          await this.page.keyboard.press('Enter');
+        }
+      } else {
+        await this.page.click(next);
+      }
+    }
+    
+    await this.page.waitForNetworkIdle();
+  }
+
+  /**
+   * Wait until the page is back on the instance (returns null) or one of the selectors appears
+   */
+  async waitForInstanceOrSelector(selectors) {
+    const handle = await this.page.waitForFunction((instanceHost, loginPaths, selectors) => {
+      if (window.location.host === instanceHost && !loginPaths.includes(window.location.pathname)) {
+        return 'instance';
+      }
+      return selectors.find(selector => {
+        const element = document.querySelector(selector);
+        return element && element.offsetParent !== null;
+      }) || false;
+    }, {}, new URL(this.instanceUrl).host, LOGIN_PATHS, selectors);
+    
+    const result = await handle.jsonValue();
+    return result === 'instance' ? null : result;
+  }
+
+  /**
+   * Store the navigation timing of the current page under a step name
+   */
+  async recordTiming(step, startedAt = null) {
+    try {
+      this.timings[stepKey(step)] = await capturePageTiming(this.page, { startedAt });
+    } catch (error) {
+      console.error(`Could not read page timing for ${step}:`, this.sanitizeError(error));
+    }
+  }
+
+  async classifyCurrentPage() {
+    const signals = await this.page.evaluate(collectPageSignals);
+    const classification = classifyPage({ ...signals, instanceUrl: this.instanceUrl });
+    console.log(`Page classified as ${classification.state}: ${classification.reason}`);
+    return classification;
+  }
+
+  async collect(collector) {
+    console.log(`Navigating to ${collector.path}...`);
+    this.step = collector.name;
+    const pageUrl = `${this.instanceUrl}${collector.path}`;
+    
+    try {
+      const loadStarted = Date.now();
+      const response = await this.page.goto(pageUrl, { waitUntil: 'networkidle2' });
+      const loadTimeMs = Date.now() - loadStarted;
+      
+      if (response && response.status() >= 400) {
+        throw new Error(`${collector.path} returned HTTP ${response.status()}`);
+      }
+      
+      // Wait for the collector's content to load
+      if (collector.waitFor && collector.waitFor.selector) {
+        await this.page.waitForSelector(collector.waitFor.selector, {
+          visible: true,
+          timeout: collector.waitFor.timeout
+        });
+      }
+      
+      // Get the rendered page, or the raw body for non-HTML documents
+      const content = collector.source === 'response' && response
+        ? await response.text()
+        : await this.page.content();
+      const evaluated = collector.evaluate ? await this.page.evaluate(collector.evaluate) : undefined;
+      await this.recordTiming(collector.name, loadStarted);
       
-      // Take a screenshot for verification
       const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
       
-      const screenshotPath = `screenshot-${this.instanceName}-${timestamp}.png`;
-      await this.page.screenshot({ path: screenshotPath, fullPage: true });
-      console.log(`Screenshot saved: ${screenshotPath}`);
+      // Take a screenshot for verification
+      let screenshotPath = null;
+      if (collector.screenshot && this.screenshots) {
+        screenshotPath = path.join(this.outputDir, collector.name === 'stats'
+          ? `screenshot-${this.instanceName}-${timestamp}.png`
+          : `screenshot-${this.instanceName}-${collector.name}-${timestamp}.png`);
+        await this.page.screenshot({ path: screenshotPath, fullPage: true });
+        console.log(`Screenshot saved: ${screenshotPath}`);
+      }
       
       return {
-        html: htmlContent,
+        content: content,
+        evaluated: evaluated,
         screenshot: screenshotPath,
         timestamp: timestamp,
-        instanceName: this.instanceName
+        instanceName: this.instanceName,
+        loadTimeMs: loadTimeMs
       };
       
     } catch (error) {
-      console.error('Stats scraping error:', this.sanitizeError(error));
+      console.error(`Collector ${collector.name} error:`, this.sanitizeError(error));
       throw error;
     }
   }
 
+  /**
+   * Load a probe's page and check it; failures are returned, not thrown
+   */
+  async runProbe(probe) {
+    console.log(`Probing ${probe.name} (${probe.path})...`);
+    this.step = `probe ${probe.name}`;
+    const result = {
+      name: probe.name,
+      path: probe.path,
+      passed: false,
+      assertions: [],
+      values: {},
+      error: null,
+      loadTimeMs: null,
+      screenshot: null
+    };
+    
+    try {
+      const loadStarted = Date.now();
+      const response = await this.page.goto(`${this.instanceUrl}${probe.path}`, { waitUntil: 'networkidle2' });
+      result.loadTimeMs = Date.now() - loadStarted;
+      
+      if (response && response.status() >= 400) {
+        throw new Error(`${probe.path} returned HTTP ${response.status()}`);
+      }
+      if (probe.waitFor) {
+        await this.page.waitForSelector(probe.waitFor, {
+          visible: true,
+          timeout: probe.timeoutMs !== undefined ? probe.timeoutMs : DEFAULT_WAIT_MS
+        });
+      }
+      
+      const observed = await this.page.evaluate(readProbeTargets, probeTargets(probe));
+      await this.recordTiming(`probe ${probe.name}`, loadStarted);
+      Object.assign(result, evaluateProbe(probe, observed));
+    } catch (error) {
+      result.error = this.sanitizeError(error);
+    }
+    
+    // Taken whatever the outcome, a failed probe is where a screenshot helps most
+    if (probe.screenshot && this.screenshots && this.page) {
+      try {
+        const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+        result.screenshot = path.join(this.outputDir, `screenshot-${this.instanceName}-probe-${probe.name}-${timestamp}.png`);
+        await this.page.screenshot({ path: result.screenshot, fullPage: true });
+      } catch (error) {
+        result.screenshot = null;
+        console.error(`Probe ${probe.name} screenshot error:`, this.sanitizeError(error));
+      }
+    }
+    
+    const failedChecks = result.assertions.filter(assertion => !assertion.passed).map(assertion => assertion.check);
+    console.log(`Probe ${probe.name}: ${result.passed ? 'passed' : `failed - ${result.error || failedChecks.join('; ')}`}`);
+    return result;
+  }
+
   async close() {
-    if (this.browser) {
-      await this.browser.close();
+    const context = this.context;
+    const browser = this.browser;
+    this.context = null;
+    this.browser = null;
+    if (context) {
+      await context.close().catch(() => {});
+    }
+    if (browser) {
+      await browser.close();
     }
   }
 }
 
-async function main() {
-  let instances = [];
+/**
+ * Parse stats.do output and compare it with the previous snapshot
+ * to spot upgrades and restarts
+ */
+function processStats(instance, result, extracted, { history, redact }) {
+  const name = instance.name;
+  const parsed = { document: extracted.data, errors: extracted.errors };
   
-  // Check if we have a JSON configuration
-  if (!process.env.SERVICENOW_INSTANCES_JSON) {
-    console.error('No ServiceNow instances configured.');
-    console.error('Please set SERVICENOW_INSTANCES_JSON environment variable with a JSON configuration.');
-    console.error('Example:');
-    console.error('{"instances":[{"name":"prod","url":"https://prod.service-now.com","username":"user","password":"pass"}]}');
-    process.exit(1);
+  if (result.rest) {
+    // Table API data fills sections stats.do did not provide
+    mergeRestData(parsed.document, result.rest);
+    parsed.errors = parsed.errors
+      .filter(parseError => !parsed.document[parseError.section])
+      .concat(result.rest.errors);
   }
   
-  try {
-    // Parse JSON configuration from environment variable
-    const config = JSON.parse(process.env.SERVICENOW_INSTANCES_JSON);
-    instances = config.instances || [];
-    
-    if (!Array.isArray(instances) || instances.length === 0) {
-      throw new Error('Configuration must contain an "instances" array with at least one instance');
+  if (parsed.errors.length > 0) {
+    console.log(`Stats parser reported ${parsed.errors.length} section error(s) for ${name}`);
+  }
+  
+  // Compare with the previous snapshot to spot upgrades and restarts
+  const previousSuccess = history ? history.latest(name, entry => entry.status === 'success' && entry.metrics) : null;
+  const metrics = toHistoryMetrics(parsed.document);
+  const changes = detectChanges(previousSuccess ? previousSuccess.metrics : null, metrics);
+  // Change messages carry node ids and build values, and job logs can be public
+  changes.forEach(change => console.log(`[CHANGE] ${name}: ${redact(change.message)}`));
+  
+  return { parsed, metrics, changes, previousSuccess };
+}
+
+/**
+ * Process one instance, retrying transient failures with exponential backoff
+ * Only the last attempt's results are reported; earlier attempts are listed under `attempts`.
+ */
+async function processInstance(instance, options) {
+  console.log(`\n=== Processing ${instance.name} instance ===`);
+  
+  const retry = resolveRetryOptions(options.config.retry, instance.retry);
+  const { outcome, attempts: attemptCount, failedAttempts } = await runWithRetries(() => attemptInstance(instance, options), retry, {
+    failureOf: attempt => attempt.failure
+  });
+  
+  outcome.entry.attempts = attemptCount;
+  outcome.entry.failedAttempts = failedAttempts;
+  outcome.record.attempts = attemptCount;
+  if (outcome.failure) {
+    outcome.failure.attempts = attemptCount;
+  }
+  return outcome;
+}
+
+/**
+ * Log in to one instance and run its collectors
+ * A failing collector is recorded and the remaining collectors still run.
+ * The instance counts as successful when at least one collector succeeded.
+ */
+async function attemptInstance(instance, { config, history, runStartedAt, pool, sessionStore, visualBaseline, timeoutMs, launchOptions, outputDir, verbose }) {
+  const previous = history ? history.latest(instance.name) : null;
+  if (previous) {
+    console.log(`Previous run: ${previous.status} at ${previous.timestamp}`);
+  }
+  
+  const startedAt = Date.now();
+  const record = {
+    key: instance.name,
+    run: runStartedAt,
+    timestamp: null,
+    status: null,
+    durationMs: null,
+    error: null,
+    errorCode: null,
+    failedStep: null,
+    metrics: null
+  };
+  const outcome = {
+    record,
+    entry: null,
+    failure: null,
+    parseErrors: [],
+    alerts: [],
+    changeEvents: [],
+    collectorFailures: [],
+    probeFailures: [],
+    visualChanges: []
+  };
+  
+  // REST instances are probed over the API, everything else through the browser
+  const mode = instance.mode || 'browser';
+  const scraper = mode === 'rest'
+    ? new RestProbe(instance.url, instance.username, instance.password, instance.name, { ...instance.rest, verbose })
+    : new ServiceNowScraper(instance.url, instance.username, instance.password, instance.name, {
+      pool,
+      loginOptions: resolveLoginOptions(instance),
+      sessionStore,
+      screenshots: instance.screenshots,
+      launchOptions,
+      outputDir,
+      verbose
+    });
+  record.mode = mode;
+  let timedOut = false;
+  
+  // Saved files go into the artifact, so they are redacted; the original content is only kept locally on request
+  const redaction = resolveRedactionOptions(config.redaction, instance.redaction);
+  const redact = createRedactor(redaction, { instanceUrl: instance.url, username: instance.username });
+  const keepUnredacted = redaction.enabled && redaction.keepUnredacted && process.env.GITHUB_ACTIONS !== 'true';
+  const saveUnredacted = async (file, content) => {
+    if (keepUnredacted) {
+      await fs.mkdir(redaction.unredactedDir, { recursive: true, mode: 0o700 });
+      await fs.writeFile(path.join(redaction.unredactedDir, path.basename(file)), content, { mode: 0o600 });
     }
-    
-    // Validate each instance has required fields
-    instances.forEach((instance, index) => {
-      if (!instance.url || !instance.username || !instance.password) {
-        throw new Error(`Instance at index ${index} missing required fields (url, username, password)`);
+  };
+  
+  const entry = {
+    instance: instance.name,
+    mode: mode,
+    status: null,
+    previous: previous ? { timestamp: previous.timestamp, status: previous.status } : null
+  };
+  outcome.entry = entry;
+  
+  try {
+    const run = async () => {
+      await scraper.init();
+      const loginStarted = Date.now();
+      await scraper.login();
+      record.loginMs = Date.now() - loginStarted;
+      entry.loginMs = record.loginMs;
+      // Whether a saved session was reused or a full login was needed
+      record.session = scraper.session || null;
+      entry.session = record.session;
+      
+      entry.collectors = [];
+      let stats = null;
+      for (const collector of resolveCollectors(config.collectors, instance.collectors)) {
+        if (timedOut) {
+          return;
+        }
+        
+        const collectorSummary = { name: collector.name, path: collector.path, status: null };
+        entry.collectors.push(collectorSummary);
+        
+        try {
+          const result = await scraper.collect(collector);
+          collectorSummary.loadTimeMs = result.loadTimeMs;
+          
+          // Raw content is named by instance, and only saved once it parsed, so no file is left without a record
+          const rawPath = result.content !== null
+            ? path.join(outputDir, `${collector.name}-${instance.name}-${result.timestamp}.${collector.fileExtension}`)
+            : null;
+          
+          const extracted = collector.extract({ content: result.content, evaluated: result.evaluated });
+          let data = extracted.data;
+          let errors = extracted.errors;
+          
+          if (collector.name === 'stats') {
+            stats = processStats(instance, result, extracted, { history, redact });
+            stats.pageLoadMs = result.loadTimeMs;
+            data = stats.parsed.document;
+            errors = stats.parsed.errors;
+            
+            // The summary ends up in the artifact, report.md and the job summary, so the values are redacted
+            outcome.changeEvents.push(...toChangeEvents(stats.changes, {
+              instance: instance.name,
+              previousTimestamp: stats.previousSuccess ? stats.previousSuccess.timestamp : null,
+              redact
+            }));
+            
+            record.pageLoadMs = result.loadTimeMs;
+            record.changes = stats.changes.map(change => change.type);
+            record.metrics = stats.metrics;
+            record.parseErrors = errors.length;
+            
+            Object.assign(entry, {
+              html: rawPath,
+              screenshot: result.screenshot,
+              pageLoadMs: result.loadTimeMs,
+              changes: redactValue(stats.changes, redact)
+            });
+          }
+          
+          if (rawPath) {
+            await fs.writeFile(rawPath, redact(result.content));
+            await saveUnredacted(rawPath, result.content);
+            console.log(`${collector.fileExtension.toUpperCase()} saved: ${rawPath}`);
+          }
+          
+          // Save the extracted data as JSON next to the raw content
+          const jsonPath = path.join(outputDir, `${collector.name}-${instance.name}-${result.timestamp}.json`);
+          const jsonContent = (savedData, savedErrors) => JSON.stringify({
+            instance: instance.name,
+            collector: collector.name,
+            timestamp: result.timestamp,
+            [collector.name === 'stats' ? 'stats' : 'data']: savedData,
+            errors: savedErrors
+          }, null, 2);
+          await fs.writeFile(jsonPath, jsonContent(redactValue(data, redact), redactValue(errors, redact)));
+          await saveUnredacted(jsonPath, jsonContent(data, errors));
+          console.log(`JSON saved: ${jsonPath}`);
+          
+          if (collector.name === 'stats') {
+            entry.json = jsonPath;
+            entry.parseErrors = errors;
+            record.files = { html: rawPath, json: jsonPath, screenshot: result.screenshot };
+          }
+          
+          errors.forEach(parseError => {
+            outcome.parseErrors.push({
+              instance: instance.name,
+              collector: collector.name,
+              section: parseError.section,
+              error: parseError.message
+            });
+          });
+          
+          Object.assign(collectorSummary, {
+            status: 'success',
+            files: { raw: rawPath, json: jsonPath, screenshot: result.screenshot },
+            errors: errors
+          });
+          
+          // Compare the screenshot with the one from the previous run
+          if (visualBaseline && result.screenshot) {
+            try {
+              const visual = await visualBaseline.check(`${instance.name}-${collector.name}`, result.screenshot);
+              collectorSummary.visual = visual;
+              if (visual.flagged) {
+                console.log(`[VISUAL] ${instance.name}: ${collector.name} screenshot differs by ${visual.mismatchPercent}% (threshold ${visual.thresholdPercent}%)`);
+                outcome.visualChanges.push({
+                  instance: instance.name,
+                  collector: collector.name,
+                  mismatchPercent: visual.mismatchPercent,
+                  thresholdPercent: visual.thresholdPercent,
+                  screenshot: visual.screenshot,
+                  diff: visual.diff
+                });
+              }
+            } catch (error) {
+              console.error(`Visual comparison failed for ${collector.name}:`, error.message);
+            }
+          }
+          
+        } catch (error) {
+          if (timedOut) {
+            return;
+          }
+          const sanitizedError = scraper.sanitizeError(error);
+          const { code } = classifyFailure(error);
+          console.error(`Collector ${collector.name} failed for ${instance.name} (${code}):`, sanitizedError);
+          collectorSummary.status = 'failed';
+          collectorSummary.code = code;
+          collectorSummary.error = sanitizedError;
+          outcome.collectorFailures.push({
+            instance: instance.name,
+            collector: collector.name,
+            code: code,
+            error: sanitizedError
+          });
+        }
+      }
+      if (timedOut) {
+        return;
+      }
+      
+      const succeeded = entry.collectors.filter(collectorSummary => collectorSummary.status === 'success');
+      if (succeeded.length === 0) {
+        // Keep the collectors' own code when they all failed the same way
+        const codes = [...new Set(entry.collectors.map(collectorSummary => collectorSummary.code))];
+        throw failure(
+          codes.length === 1 ? codes[0] : 'COLLECTORS_FAILED',
+          `All collectors failed: ${entry.collectors.map(collectorSummary => `${collectorSummary.name}: ${collectorSummary.error}`).join('; ')}`
+        );
+      }
+      
+      // Instance-specific probes; a failing probe is reported but does not fail the instance
+      const probeResults = [];
+      for (const probe of instance.probes || []) {
+        if (timedOut) {
+          return;
+        }
+        probeResults.push(await scraper.runProbe(probe));
+      }
+      if (timedOut) {
+        return;
       }
-      // Add a name if not provided
-      if (!instance.name) {
-        instance.name = `instance-${index + 1}`;
+      // Extracted values and checked text come from the page, so they are redacted like the saved files
+      entry.probes = probeResults.map(probeResult => ({
+        ...probeResult,
+        values: redactValue(probeResult.values, redact),
+        assertions: redactValue(probeResult.assertions, redact)
+      }));
+      entry.probes.filter(probeResult => !probeResult.passed).forEach(probeResult => {
+        outcome.probeFailures.push({
+          instance: instance.name,
+          probe: probeResult.name,
+          error: probeResult.error,
+          failedChecks: probeResult.assertions.filter(assertion => !assertion.passed).map(assertion => assertion.check),
+          screenshot: probeResult.screenshot
+        });
+      });
+      if (probeResults.length > 0) {
+        record.probes = probeResults.map(probeResult => ({ name: probeResult.name, passed: probeResult.passed }));
       }
+      
+      // Check the parsed values, page timings and probe results against the configured alert rules
+      const ruleOutcomes = evaluateRules(
+        resolveRules(config.rules, instance.rules),
+        buildRuleContext(stats ? stats.parsed.document : null, {
+          previousMetrics: stats && stats.previousSuccess ? stats.previousSuccess.metrics : null,
+          pageLoadMs: stats ? stats.pageLoadMs : null,
+          durationMs: Date.now() - startedAt,
+          timings: scraper.timings,
+          probes: Object.fromEntries(probeResults.map(probeResult => [
+            stepKey(probeResult.name),
+            { passed: probeResult.passed, values: probeResult.values }
+          ]))
+        })
+      );
+      const triggered = ruleOutcomes.filter(ruleOutcome => ruleOutcome.status === 'triggered');
+      triggered.forEach(ruleOutcome => {
+        console.log(`[${ruleOutcome.severity.toUpperCase()}] ${instance.name}: ${ruleOutcome.rule} - ${ruleOutcome.message}`);
+        outcome.alerts.push({
+          instance: instance.name,
+          rule: ruleOutcome.rule,
+          severity: ruleOutcome.severity,
+          condition: ruleOutcome.condition,
+          message: ruleOutcome.message
+        });
+      });
+      record.alerts = triggered.map(ruleOutcome => ({ rule: ruleOutcome.rule, severity: ruleOutcome.severity }));
+      entry.rules = ruleOutcomes;
+      
+      record.status = 'success';
+      record.collectors = entry.collectors.map(collectorSummary => ({ name: collectorSummary.name, status: collectorSummary.status }));
+      entry.status = 'success';
+    };
+    
+    // Closing the scraper on timeout aborts whatever page operation is pending
+    await withTimeout(run(), timeoutMs, `Instance timed out after ${Math.round(timeoutMs / 1000)}s`, () => {
+      timedOut = true;
+      return scraper.close();
     });
+    
   } catch (error) {
-    console.error('Failed to parse SERVICENOW_INSTANCES_JSON:', error.message);
-    console.error('Please ensure the JSON is valid and follows the required format.');
-    process.exit(1);
+    const sanitizedError = scraper.sanitizeError(error);
+    // Hibernation, maintenance and similar pages get their own status instead of a generic failure
+    const status = error instanceof InstanceStateError ? error.status : 'failed';
+    const { code, step } = classifyFailure(error, { step: scraper.step });
+    console.error(`Failed to process ${instance.name}${status === 'failed' ? '' : ` (${status})`} [${code} at ${step || 'start'}]:`, sanitizedError);
+    outcome.failure = {
+      instance: instance.name,
+      status: status,
+      code: code,
+      step: step,
+      error: sanitizedError
+    };
+    entry.status = status;
+    entry.errorCode = code;
+    entry.failedStep = step;
+    entry.error = sanitizedError;
+    record.status = status;
+    record.errorCode = code;
+    record.failedStep = step;
+    record.error = sanitizedError;
+  } finally {
+    await scraper.close();
+  }
+  
+  // Page timings are kept for failed runs too, a slow login is often why it failed
+  entry.timings = scraper.timings;
+  record.timings = scraper.timings;
+  entry.durationMs = Date.now() - startedAt;
+  record.timestamp = new Date().toISOString();
+  record.durationMs = entry.durationMs;
+  
+  return outcome;
+}
+
+/**
+ * Read the `concurrency` config block
+ * A plain number is shorthand for { limit }. The default of 1 keeps processing sequential,
+ * and instances have no overall time limit unless `instanceTimeoutMs` is set.
+ */
+function resolveConcurrency(concurrencyConfig) {
+  const options = typeof concurrencyConfig === 'number' ? { limit: concurrencyConfig } : (concurrencyConfig || {});
+  return {
+    limit: options.limit || 1,
+    browsers: options.browsers || 1,
+    instanceTimeoutMs: options.instanceTimeoutMs || null
+  };
+}
+
+/**
+ * What a run would do for one instance, for --dry-run and --verbose
+ */
+function describeInstance(instance, config, concurrency) {
+  const collectors = resolveCollectors(config.collectors, instance.collectors).map(collector => collector.name);
+  const retry = resolveRetryOptions(config.retry, instance.retry);
+  const timeoutMs = instance.timeoutMs || concurrency.instanceTimeoutMs;
+  const timeout = timeoutMs ? `timeout ${Math.round(timeoutMs / 1000)}s` : 'no time limit';
+  const tags = instance.tags && instance.tags.length > 0 ? `, tags ${instance.tags.join(', ')}` : '';
+  return `${instance.name}: ${instance.mode || 'browser'} mode, collectors ${collectors.join(', ')}, ${timeout}, up to ${retry.attempts} attempt(s)${tags}`;
+}
+
+/**
+ * Run the stats monitor and return the exit code
+ *
+ * Options (all optional, used by the sn-pdi CLI):
+ *   configFile  - config file, instead of --config or SERVICENOW_CONFIG_FILE
+ *   select      - { only, exclude, tags } to narrow down the instances
+ *   outputDir   - where pages, screenshots and stats-summary.json are written (default: current directory)
+ *   dryRun      - validate and print the plan without logging in or writing anything
+ *   headful     - show the browser window
+ *   verbose     - log every step and the resolved settings of each instance
+ *   junitFile   - also write a JUnit XML report here (default: JUNIT_REPORT_FILE)
+ */
+async function runStats(options = {}) {
+  let instances = [];
+  let config = {};
+  
+  try {
+    // Instances come from SERVICENOW_INSTANCES_JSON, a config file, or both merged
+    const loaded = await loadConfig('stats', { file: options.configFile, select: options.select });
+    config = loaded.config;
+    instances = config.instances;
+    console.log(`Configuration loaded from ${loaded.sources.join(' + ')}`);
+  } catch (error) {
+    if (!(error instanceof ConfigError)) {
+      throw error;
+    }
+    console.error(error.message);
+    console.error('Example:');
+    console.error('{"instances":[{"name":"prod","url":"https://prod.service-now.com","username":"user","password":"pass"}]}');
+    return 1;
   }
   
   console.log(`Configured to process ${instances.length} instance(s)`);
   
+  const concurrency = resolveConcurrency(config.concurrency);
+  if (options.dryRun || options.verbose) {
+    instances.forEach(instance => console.log(`  ${describeInstance(instance, config, concurrency)}`));
+  }
+  if (options.dryRun) {
+    console.log('Dry run, nothing was fetched or written');
+    return 0;
+  }
+  
+  const outputDir = options.outputDir || '.';
+  await fs.mkdir(outputDir, { recursive: true });
+  
+  // Load previous runs so this run can be compared against them
+  const historyOptions = resolveHistoryOptions(config.history);
+  let history = null;
+  if (historyOptions.enabled) {
+    try {
+      history = new HistoryStore(historyOptions);
+      await history.load();
+      console.log(`Loaded ${history.records.length} history record(s) from ${history.file}`);
+    } catch (error) {
+      console.error('Failed to load stats history, continuing without it:', error.message);
+      history = null;
+    }
+  }
+  
+  // Saved browser sessions let runs skip the login when the instance still accepts them
+  const sessionOptions = resolveSessionOptions(config.sessions);
+  const sessionStore = sessionOptions.enabled ? new SessionStore(sessionOptions) : null;
+  if (sessionStore) {
+    console.log(`Reusing saved sessions from ${sessionStore.dir}`);
+  } else if (config.sessions && config.sessions.enabled && !process.env.SESSION_ENCRYPTION_KEY) {
+    console.log('Session reuse is enabled but SESSION_ENCRYPTION_KEY is not set, logging in fresh');
+  }
+  
+  if (process.env.GITHUB_ACTIONS === 'true' && [config, ...instances].some(entry => entry.redaction && entry.redaction.keepUnredacted)) {
+    console.log('Not keeping unredacted copies on GitHub Actions, they would end up in the artifact');
+  }
+  
+  const visualOptions = resolveVisualDiffOptions(config.visualDiff);
+  const visualBaseline = visualOptions.enabled ? new VisualBaseline(visualOptions) : null;
+  
+  const runStartedAt = new Date().toISOString();
+  const runRecords = [];
+  
   // Track success and failures
   const results = {
     total: instances.length,
     successful: 0,
     failed: 0,
-    failures: []
+    ignored: 0,
+    statuses: {},
+    failureCodes: {},
+    retries: 0,
+    failures: [],
+    instances: [],
+    parseErrors: [],
+    alerts: [],
+    changeEvents: [],
+    collectorFailures: [],
+    probeFailures: [],
+    visualChanges: []
   };
   
-  // Process each instance sequentially
-  for (const instance of instances) {
-    console.log(`\n=== Processing ${instance.name} instance ===`);
-    
-    const scraper = new ServiceNowScraper(
-      instance.url,
-      instance.username,
-      instance.password,
-      instance.name
-    );
-    
-    try {
-      await scraper.init();
-      await scraper.login();
-      const result = await scraper.scrapeStats();
-      
-      // Save HTML content with instance name for organization
-      const htmlPath = `stats-${instance.name}-${result.timestamp}.html`;
-      await fs.writeFile(htmlPath, result.html);
-      console.log(`HTML saved: ${htmlPath}`);
+  const failOnSeverity = (config.alerting && config.alerting.failOnSeverity) || 'critical';
+  const countHibernating = !config.alerting || config.alerting.countHibernatingAsFailure !== false;
+  
+  // Process instances in parallel up to the concurrency limit, sharing browsers between them;
+  // one at a time, every instance launches its own browser
+  const launchOptions = options.headful ? { ...BROWSER_LAUNCH_OPTIONS, headless: false } : BROWSER_LAUNCH_OPTIONS;
+  const needsBrowser = instances.some(instance => (instance.mode || 'browser') === 'browser');
+  const pool = needsBrowser && concurrency.limit > 1
+    ? new BrowserPool({ size: Math.min(concurrency.browsers, concurrency.limit), launchOptions })
+    : null;
+  let restoreConsole = () => {};
+  if (concurrency.limit > 1) {
+    console.log(`Processing up to ${concurrency.limit} instance(s) at a time`);
+    restoreConsole = installLogPrefix();
+  }
+  
+  let outcomes;
+  try {
+    outcomes = await mapWithConcurrency(instances, concurrency.limit, instance => runWithLogPrefix(instance.name, async () => {
+      const outcome = await processInstance(instance, {
+        config,
+        history,
+        runStartedAt,
+        pool,
+        sessionStore,
+        visualBaseline,
+        timeoutMs: instance.timeoutMs || concurrency.instanceTimeoutMs,
+        launchOptions,
+        outputDir,
+        verbose: options.verbose === true
+      });
       
+      if (history) {
+        try {
+          await history.append(outcome.record);
+        } catch (error) {
+          console.error(`Failed to record history for ${instance.name}:`, error.message);
+        }
+      }
+      return outcome;
+    }));
+  } finally {
+    if (pool) {
+      await pool.close();
+    }
+    restoreConsole();
+  }
+  
+  // Collect results in configuration order, however the instances finished
+  for (const outcome of outcomes) {
+    const status = outcome.record.status;
+    results.statuses[status] = (results.statuses[status] || 0) + 1;
+    results.retries += outcome.record.attempts - 1;
+    if (outcome.failure) {
+      results.failureCodes[outcome.failure.code] = (results.failureCodes[outcome.failure.code] || 0) + 1;
+    }
+    if (status === 'success') {
       results.successful++;
-      
-    } catch (error) {
-      const sanitizedError = scraper.sanitizeError(error);
-      console.error(`Failed to process ${instance.name}:`, sanitizedError);
+    } else if (status === 'hibernating' && !countHibernating) {
+      // A sleeping PDI is expected, keep it out of the failure exit codes
+      results.ignored++;
+      results.failures.push(outcome.failure);
+    } else {
       results.failed++;
-      results.failures.push({
-        instance: instance.name,
-        error: sanitizedError
-      });
-      // Continue with next instance rather than failing entirely
-    } finally {
-      await scraper.close();
+      results.failures.push(outcome.failure);
+    }
+    results.instances.push(outcome.entry);
+    results.parseErrors.push(...outcome.parseErrors);
+    results.alerts.push(...outcome.alerts);
+    results.changeEvents.push(...outcome.changeEvents);
+    results.collectorFailures.push(...outcome.collectorFailures);
+    results.probeFailures.push(...outcome.probeFailures);
+    results.visualChanges.push(...outcome.visualChanges);
+    runRecords.push(outcome.record);
+  }
+  
+  if (history) {
+    try {
+      const removed = await history.compact();
+      if (removed > 0) {
+        console.log(`Compacted stats history, removed ${removed} old record(s)`);
+      }
+    } catch (error) {
+      console.error('Failed to compact stats history:', error.message);
+    }
+  }
+  
+  // Export metrics for Prometheus (node_exporter textfile collector format)
+  if (!config.metrics || config.metrics.enabled !== false) {
+    try {
+      const metricsFile = await writeStatsTextfile(history ? history.records : runRecords, { config, dir: outputDir });
+      console.log(`Metrics saved: ${metricsFile}`);
+    } catch (error) {
+      console.error('Failed to write metrics:', error.message);
     }
   }
   
   console.log('\n=== All instances processed ===');
   console.log(`Success: ${results.successful}/${results.total}`);
   console.log(`Failed: ${results.failed}/${results.total}`);
+  if (results.ignored > 0) {
+    console.log(`Hibernating (not counted as failures): ${results.ignored}/${results.total}`);
+  }
+  if (results.retries > 0) {
+    console.log(`Retries: ${results.retries}`);
+  }
+  console.log(`Alerts: ${results.alerts.length}`);
+  console.log(`Change events: ${results.changeEvents.length}`);
+  console.log(`Visual changes: ${results.visualChanges.length}`);
+  if (instances.some(instance => instance.probes && instance.probes.length > 0)) {
+    console.log(`Probe failures: ${results.probeFailures.length}`);
+  }
   
   // Write summary file for GitHub Actions
   const summary = {
@@ -232,26 +1087,78 @@ async function main() {
     total: results.total,
     successful: results.successful,
     failed: results.failed,
-    failures: results.failures
+    ignored: results.ignored,
+    statuses: results.statuses,
+    failureCodes: results.failureCodes,
+    retries: results.retries,
+    failures: results.failures,
+    parseErrors: results.parseErrors,
+    alerts: results.alerts,
+    changeEvents: results.changeEvents,
+    collectorFailures: results.collectorFailures,
+    probeFailures: results.probeFailures,
+    visualChanges: results.visualChanges,
+    instances: results.instances
   };
   
-  await fs.writeFile('stats-summary.json', JSON.stringify(summary, null, 2));
+  await fs.writeFile(path.join(outputDir, 'stats-summary.json'), JSON.stringify(summary, null, 2));
+  try {
+    console.log(`Run report saved: ${await writeRunReport(outputDir, summary)}`);
+  } catch (error) {
+    console.error('Failed to write run report:', error.message);
+  }
   
-  // Exit with error code if all instances failed
-  if (results.failed === results.total && results.total > 0) {
-    console.error('\nERROR: All instances failed!');
-    process.exit(1);
+  const junitFile = options.junitFile || process.env.JUNIT_REPORT_FILE;
+  if (junitFile) {
+    try {
+      await writeJUnitReport(junitFile, buildStatsTestSuite(summary, { countHibernating }));
+      console.log(`JUnit report saved: ${junitFile}`);
+    } catch (error) {
+      console.error('Failed to write JUnit report:', error.message);
+    }
   }
   
-  // Exit with warning code if more than 50% failed
-  if (results.failed > results.successful && results.total > 0) {
-    console.error(`\nWARNING: More than half of instances failed (${results.failed}/${results.total})`);
-    process.exit(2);
+  let exitCode = 0;
+  const counted = results.total - results.ignored;
+  if (results.failed === counted && counted > 0) {
+    // Exit with error code if all instances failed
+    console.error('\nERROR: All instances failed!');
+    exitCode = 1;
+  } else if (results.failed > results.successful && counted > 0) {
+    // Exit with warning code if more than 50% failed
+    console.error(`\nWARNING: More than half of instances failed (${results.failed}/${counted})`);
+    exitCode = 2;
+  } else if (results.alerts.some(alert => meetsSeverity(alert.severity, failOnSeverity))) {
+    // Exit with alert code if a rule at or above the configured severity triggered
+    console.error(`\nALERT: Rules with severity "${failOnSeverity}" or higher were triggered`);
+    exitCode = 3;
   }
+  
+  await sendNotifications(resolveNotificationOptions(config.notifications, { source: 'stats', stateDir: historyOptions.dir }), {
+    source: 'stats',
+    events: buildStatsEvents(summary),
+    names: instances.map(instance => instance.name),
+    total: results.total,
+    successful: results.successful,
+    failed: results.failed,
+    exitCode
+  });
+  
+  return exitCode;
+}
+
+// Run directly, or through the sn-pdi CLI
+if (require.main === module) {
+  runStats().then(code => {
+    if (code !== 0) {
+      process.exit(code);
+    }
+  }).catch(error => {
+    console.error('Fatal error:', error);
+    process.exit(1);
+  });
 }
 
-// Run the main function
-main().catch(error => {
-  console.error('Fatal error:', error);
-  process.exit(1);
-});
\ No newline at end of file
+module.exports = {
+  runStats
+};
\ No newline at end of file
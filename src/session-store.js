@@ -0,0 +1,120 @@
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+
+const DEFAULT_SESSION_DIR = 'stats-sessions';
+const FILE_VERSION = 1;
+
+/**
+ * Encrypted per-instance cookie store
+ * Each instance gets one file holding its browser cookies, encrypted with
+ * AES-256-GCM under a key derived (scrypt) from a secret and a per-file salt.
+ */
+class SessionStore {
+  constructor(options = {}) {
+    if (!options.secret) {
+      throw new Error('SessionStore needs a secret to encrypt sessions');
+    }
+    this.dir = options.dir || DEFAULT_SESSION_DIR;
+    this.secret = options.secret;
+    this.maxAgeHours = options.maxAgeHours !== undefined ? options.maxAgeHours : 12;
+  }
+
+  fileFor(name) {
+    return path.join(this.dir, `${name.replace(/[^\w.-]/g, '_')}.session`);
+  }
+
+  /**
+   * Load the saved cookies for an instance
+   * Returns null when there is no usable session (missing, expired, or not decryptable).
+   */
+  async load(name) {
+    let content;
+    try {
+      content = await fs.readFile(this.fileFor(name), 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+
+    let session;
+    try {
+      session = JSON.parse(this.decrypt(JSON.parse(content)));
+    } catch (error) {
+      // Written with another key or corrupted, a fresh login will replace it
+      return null;
+    }
+
+    const age = Date.now() - Date.parse(session.savedAt);
+    if (this.maxAgeHours > 0 && !(age < this.maxAgeHours * 60 * 60 * 1000)) {
+      return null;
+    }
+
+    const now = Date.now() / 1000;
+    const cookies = (session.cookies || []).filter(cookie => !(cookie.expires > 0 && cookie.expires < now));
+    return cookies.length > 0 ? cookies : null;
+  }
+
+  async save(name, cookies) {
+    const session = JSON.stringify({ savedAt: new Date().toISOString(), cookies });
+    await fs.mkdir(this.dir, { recursive: true, mode: 0o700 });
+    const file = this.fileFor(name);
+    const tempFile = `${file}.tmp`;
+    await fs.writeFile(tempFile, JSON.stringify(this.encrypt(session)), { mode: 0o600 });
+    await fs.rename(tempFile, file);
+  }
+
+  async remove(name) {
+    try {
+      await fs.unlink(this.fileFor(name));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+    }
+  }
+
+  encrypt(plaintext) {
+    const salt = crypto.randomBytes(16);
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', crypto.scryptSync(this.secret, salt, 32), iv);
+    const data = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+    return {
+      version: FILE_VERSION,
+      salt: salt.toString('base64'),
+      iv: iv.toString('base64'),
+      tag: cipher.getAuthTag().toString('base64'),
+      data: data.toString('base64')
+    };
+  }
+
+  decrypt(envelope) {
+    if (envelope.version !== FILE_VERSION) {
+      throw new Error(`Unsupported session file version ${envelope.version}`);
+    }
+    const key = crypto.scryptSync(this.secret, Buffer.from(envelope.salt, 'base64'), 32);
+    const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(envelope.iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(envelope.tag, 'base64'));
+    return Buffer.concat([decipher.update(Buffer.from(envelope.data, 'base64')), decipher.final()]).toString('utf8');
+  }
+}
+
+/**
+ * Build store options from the `sessions` block of a config file
+ * Sessions are only kept when SESSION_ENCRYPTION_KEY is set.
+ */
+function resolveSessionOptions(sessionConfig = {}) {
+  return {
+    enabled: sessionConfig.enabled !== false && Boolean(process.env.SESSION_ENCRYPTION_KEY),
+    dir: process.env.STATS_SESSION_DIR || sessionConfig.dir || DEFAULT_SESSION_DIR,
+    maxAgeHours: sessionConfig.maxAgeHours,
+    secret: process.env.SESSION_ENCRYPTION_KEY
+  };
+}
+
+module.exports = {
+  SessionStore,
+  resolveSessionOptions
+};
@@ -0,0 +1,449 @@
+/**
+ * Parser for the ServiceNow stats.do page
+ * Turns the raw HTML into a structured document without needing a browser,
+ * so it can run against live pages and saved HTML files alike.
+ */
+
+const PARSER_VERSION = 2;
+
+const HEADING_MARK = '\u0001';
+const HEADER_CELL_MARK = '\u0002';
+
+const ENTITIES = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: "'",
+  nbsp: ' '
+};
+
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1].toLowerCase() === 'x'
+        ? parseInt(entity.slice(2), 16)
+        : parseInt(entity.slice(1), 10);
+      return Number.isNaN(code) ? match : String.fromCodePoint(code);
+    }
+    const decoded = ENTITIES[entity.toLowerCase()];
+    return decoded !== undefined ? decoded : match;
+  });
+}
+
+function cleanText(text) {
+  return decodeEntities(text.replace(/<[^>]*>/g, '')).replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Convert HTML into lines, keeping headings and table cells recognisable
+ */
+function htmlToLines(html) {
+  let text = html
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/<(script|style|noscript)\b[\s\S]*?<\/\1>/gi, '');
+
+  text = text.replace(/<h([1-6])\b[^>]*>([\s\S]*?)<\/h\1>/gi, (match, level, content) => {
+    return `\n${HEADING_MARK}${level}|${cleanText(content)}\n`;
+  });
+
+  text = text
+    .replace(/<th\b[^>]*>/gi, HEADER_CELL_MARK)
+    .replace(/<\/t[dh]>/gi, '\t')
+    .replace(/<\/tr>/gi, '\n')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/(p|div|li|table|thead|tbody|pre|dt|dd)>/gi, '\n')
+    .replace(/<[^>]*>/g, '');
+
+  return text.split('\n').map(line => line.trim()).filter(line => line.length > 0);
+}
+
+function createSection(title, level, parent) {
+  return {
+    title,
+    level,
+    path: parent && parent.level > 0 ? [...parent.path, title] : [title],
+    values: {},
+    tables: []
+  };
+}
+
+function setValue(section, key, value) {
+  let uniqueKey = key;
+  let suffix = 2;
+  while (Object.prototype.hasOwnProperty.call(section.values, uniqueKey)) {
+    uniqueKey = `${key} (${suffix++})`;
+  }
+  section.values[uniqueKey] = value;
+}
+
+/**
+ * Split the page into sections of key/value pairs and tables
+ */
+function extractSections(html) {
+  const lines = htmlToLines(html);
+  const root = createSection('General', 0, null);
+  const sections = [root];
+  const stack = [root];
+  let current = root;
+  let table = null;
+
+  for (const line of lines) {
+    if (line[0] === HEADING_MARK) {
+      const [level, ...titleParts] = line.slice(1).split('|');
+      const title = titleParts.join('|') || 'Untitled';
+      const depth = parseInt(level, 10);
+      while (stack.length > 1 && stack[stack.length - 1].level >= depth) {
+        stack.pop();
+      }
+      current = createSection(title, depth, stack[stack.length - 1]);
+      stack.push(current);
+      sections.push(current);
+      table = null;
+      continue;
+    }
+
+    if (line.includes('\t')) {
+      const rawCells = line.split('\t').map(cell => cell.trim()).filter(cell => cell.length > 0);
+      const isHeader = rawCells.length > 0 && rawCells.every(cell => cell.startsWith(HEADER_CELL_MARK));
+      const cells = rawCells.map(cell => decodeEntities(cell.replace(HEADER_CELL_MARK, '')).replace(/\s+/g, ' ').trim());
+
+      if (cells.length === 0) {
+        continue;
+      }
+
+      if (isHeader) {
+        table = { headers: cells, rows: [] };
+        current.tables.push(table);
+        continue;
+      }
+
+      if (table && table.headers.length > 2) {
+        const row = {};
+        table.headers.forEach((header, index) => {
+          row[header || `column ${index + 1}`] = cells[index] !== undefined ? cells[index] : '';
+        });
+        table.rows.push(row);
+        continue;
+      }
+
+      if (cells.length === 1) {
+        addTextLine(current, cells[0]);
+      } else if (cells.length === 2) {
+        setValue(current, cells[0].replace(/:\s*$/, ''), cells[1]);
+      } else {
+        table = { headers: cells.map((cell, index) => `column ${index + 1}`), rows: [] };
+        current.tables.push(table);
+        const row = {};
+        cells.forEach((cell, index) => { row[`column ${index + 1}`] = cell; });
+        table.rows.push(row);
+      }
+      continue;
+    }
+
+    table = null;
+    addTextLine(current, decodeEntities(line).replace(/\s+/g, ' '));
+  }
+
+  return sections;
+}
+
+function addTextLine(section, line) {
+  const match = line.match(/^([^:]{1,80}?)\s*:\s*(.*)$/);
+  if (match && !/^https?$/i.test(match[1])) {
+    setValue(section, match[1].trim(), match[2].trim());
+  } else {
+    if (!section.text) {
+      section.text = [];
+    }
+    section.text.push(line);
+  }
+}
+
+/**
+ * Parse a numeric value such as "1,024.5 MB" or "62%"
+ */
+function parseNumber(value) {
+  if (value === undefined || value === null) {
+    return null;
+  }
+  if (typeof value === 'number') {
+    return value;
+  }
+  const match = String(value).replace(/,/g, '').match(/-?\d+(\.\d+)?/);
+  return match ? parseFloat(match[0]) : null;
+}
+
+const DURATION_UNITS = {
+  day: 86400,
+  hour: 3600,
+  minute: 60,
+  second: 1
+};
+
+/**
+ * Parse an uptime string such as "4 Days 2 Hours 44 Minutes 33 Seconds"
+ */
+function parseDuration(value) {
+  if (!value) {
+    return null;
+  }
+  let seconds = 0;
+  let matched = false;
+  const pattern = /(\d+)\s*(day|hour|minute|second)s?/gi;
+  let match;
+  while ((match = pattern.exec(value)) !== null) {
+    seconds += parseInt(match[1], 10) * DURATION_UNITS[match[2].toLowerCase()];
+    matched = true;
+  }
+  if (!matched) {
+    const clock = value.match(/^(\d+):(\d{2}):(\d{2})/);
+    if (clock) {
+      return parseInt(clock[1], 10) * 3600 + parseInt(clock[2], 10) * 60 + parseInt(clock[3], 10);
+    }
+    return null;
+  }
+  return seconds;
+}
+
+function findValue(sections, patterns) {
+  for (const section of sections) {
+    for (const [key, value] of Object.entries(section.values)) {
+      if (patterns.some(pattern => pattern.test(key))) {
+        return value;
+      }
+    }
+  }
+  return undefined;
+}
+
+function findSections(sections, pattern) {
+  return sections.filter(section => pattern.test(section.title));
+}
+
+function isDescendant(section, ancestor) {
+  return section !== ancestor && section.path.length > ancestor.path.length &&
+    ancestor.path.every((title, index) => section.path[index] === title);
+}
+
+// Convert plain numeric values ("1,024", "12 ms", "62%") to numbers, leave the rest as text
+function numericValues(section) {
+  const result = {};
+  for (const [key, value] of Object.entries(section.values)) {
+    result[key] = /^-?[\d,]+(\.\d+)?\s*(%|[kmg]b|ms|s)?$/i.test(value) ? parseNumber(value) : value;
+  }
+  return result;
+}
+
+function extractBuild(sections) {
+  const build = {
+    name: findValue(sections, [/^build name$/i]) || null,
+    tag: findValue(sections, [/^build tag$/i]) || null,
+    date: findValue(sections, [/^build date$/i]) || null
+  };
+  if (!build.name && !build.tag && !build.date) {
+    throw new Error('Build information not found');
+  }
+  return build;
+}
+
+function extractNode(sections) {
+  const node = {
+    id: findValue(sections, [/^node id$/i, /^system id$/i]) || null,
+    name: findValue(sections, [/^node name$/i, /^instance name$/i]) || null
+  };
+  if (!node.id) {
+    throw new Error('Node id not found');
+  }
+  return node;
+}
+
+function extractUptime(sections) {
+  const text = findValue(sections, [/uptime/i]);
+  if (!text) {
+    throw new Error('Uptime not found');
+  }
+  return {
+    text,
+    seconds: parseDuration(text),
+    started: findValue(sections, [/^servlet started$/i, /^started$/i]) || null
+  };
+}
+
+function extractMemory(sections) {
+  const memorySections = findSections(sections, /memory/i);
+  const scope = memorySections.length > 0 ? memorySections : sections;
+
+  const maxMb = parseNumber(findValue(scope, [/^max(imum)? memory/i, /^max$/i]));
+  const allocatedMb = parseNumber(findValue(scope, [/^allocated/i, /^total memory/i]));
+  const inUseMb = parseNumber(findValue(scope, [/^in use/i, /^used/i]));
+  let freeMb = parseNumber(findValue(scope, [/^free memory/i, /^free$/i]));
+  let freePercent = parseNumber(findValue(scope, [/^free percent/i]));
+
+  if (maxMb === null) {
+    throw new Error('Max memory not found');
+  }
+  if (freeMb === null && inUseMb !== null) {
+    freeMb = Math.round((maxMb - inUseMb) * 10) / 10;
+  }
+  if (freePercent === null && freeMb !== null && maxMb > 0) {
+    freePercent = Math.round((freeMb / maxMb) * 1000) / 10;
+  }
+
+  return { maxMb, allocatedMb, inUseMb, freeMb, freePercent };
+}
+
+function extractSemaphores(sections) {
+  const matches = findSections(sections, /semaphore/i);
+  const parents = matches.filter(section => !matches.some(other => isDescendant(section, other)));
+  if (parents.length === 0) {
+    throw new Error('Semaphore sets not found');
+  }
+
+  const sets = [];
+  for (const parent of parents) {
+    const children = sections.filter(section => isDescendant(section, parent));
+    const candidates = children.length > 0 ? children : [parent];
+
+    for (const section of candidates) {
+      if (Object.keys(section.values).length === 0) {
+        continue;
+      }
+      sets.push({
+        name: section === parent ? section.title : section.title.replace(/\s*semaphores?$/i, '') || section.title,
+        available: parseNumber(findValue([section], [/^available/i, /^max(imum)? semaphores/i, /^count$/i])),
+        inUse: parseNumber(findValue([section], [/in use/i])),
+        queued: parseNumber(findValue([section], [/^queue depth/i, /^queued/i, /^queue length/i])),
+        maxQueueDepth: parseNumber(findValue([section], [/^max queue depth/i])),
+        queueAge: findValue([section], [/^queue age/i]) || null
+      });
+    }
+  }
+  return sets;
+}
+
+function extractScheduler(sections) {
+  const schedulerSections = findSections(sections, /scheduler|worker/i);
+  if (schedulerSections.length === 0) {
+    throw new Error('Scheduler section not found');
+  }
+  const values = {};
+  const workers = [];
+  for (const section of schedulerSections) {
+    Object.assign(values, numericValues(section));
+    section.tables.forEach(table => workers.push(...table.rows));
+  }
+  return {
+    workerCount: parseNumber(findValue(schedulerSections, [/^(number of )?workers?( count)?$/i, /^worker count/i])),
+    queueLength: parseNumber(findValue(schedulerSections, [/queue (length|depth)/i, /^jobs? queued/i])),
+    values,
+    workers
+  };
+}
+
+function extractTransactions(sections) {
+  const transactionSections = findSections(sections, /transaction|servlet stat/i);
+  if (transactionSections.length === 0) {
+    throw new Error('Transaction statistics not found');
+  }
+  const counters = {};
+  const tables = [];
+  for (const section of transactionSections) {
+    Object.assign(counters, numericValues(section));
+    tables.push(...section.tables);
+  }
+  return { counters, tables };
+}
+
+function extractCaches(sections) {
+  const cacheSections = findSections(sections, /cache/i);
+  if (cacheSections.length === 0) {
+    throw new Error('Cache statistics not found');
+  }
+  return cacheSections.map(section => ({
+    name: section.title,
+    values: numericValues(section),
+    rows: section.tables.flatMap(table => table.rows)
+  }));
+}
+
+// Single-node instances (most PDIs) have no cluster section, so a missing one is not an error
+function extractCluster(sections) {
+  const clusterSections = findSections(sections, /cluster/i);
+  const nodeCount = parseNumber(findValue(sections, [/^(cluster )?node count$/i, /^(cluster|active) nodes$/i, /^nodes in cluster$/i]));
+  if (nodeCount !== null) {
+    return { nodeCount };
+  }
+  const rows = clusterSections.flatMap(section => section.tables.flatMap(table => table.rows));
+  if (rows.length > 0) {
+    return { nodeCount: rows.length };
+  }
+  return null;
+}
+
+const EXTRACTORS = {
+  build: extractBuild,
+  node: extractNode,
+  uptime: extractUptime,
+  memory: extractMemory,
+  semaphores: extractSemaphores,
+  scheduler: extractScheduler,
+  transactions: extractTransactions,
+  caches: extractCaches,
+  cluster: extractCluster
+};
+
+// Sections consumed by a typed extractor are not repeated in the raw section list
+const KNOWN_SECTION_PATTERN = /memory|semaphore|scheduler|worker|transaction|servlet stat|cache|cluster/i;
+
+/**
+ * Parse stats.do HTML into a structured document
+ * Each typed section is extracted independently; a failure is recorded in
+ * `errors` and the remaining sections are still parsed.
+ */
+function parseStatsHtml(html) {
+  const errors = [];
+  const document = {
+    parserVersion: PARSER_VERSION,
+    parsedAt: new Date().toISOString()
+  };
+
+  let sections = [];
+  try {
+    sections = extractSections(html || '');
+  } catch (error) {
+    errors.push({ section: 'document', message: error.message });
+  }
+
+  for (const [name, extractor] of Object.entries(EXTRACTORS)) {
+    try {
+      document[name] = extractor(sections);
+    } catch (error) {
+      document[name] = null;
+      errors.push({ section: name, message: error.message });
+    }
+  }
+
+  // Keep everything else so unknown sections are not lost
+  document.sections = sections
+    .filter(section => section.level === 0 || !KNOWN_SECTION_PATTERN.test(section.path.join(' ')))
+    .filter(section => Object.keys(section.values).length > 0 || section.tables.length > 0 || section.text)
+    .map(section => ({
+      title: section.path.join(' / '),
+      values: section.values,
+      tables: section.tables,
+      ...(section.text ? { text: section.text } : {})
+    }));
+
+  return { document, errors };
+}
+
+module.exports = {
+  parseStatsHtml,
+  extractSections,
+  numericValues,
+  decodeEntities,
+  parseNumber,
+  parseDuration,
+  PARSER_VERSION
+};
@@ -0,0 +1,134 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { PNG } = require('pngjs');
+const pixelmatch = require('pixelmatch');
+
+const DEFAULT_BASELINE_DIR = 'screenshot-baselines';
+const DEFAULT_THRESHOLD_PERCENT = 5;
+const DEFAULT_PIXEL_THRESHOLD = 0.1;
+
+/**
+ * Copy an image onto a transparent canvas of the given size
+ * Screenshots of different heights are compared over the larger area,
+ * so content that appeared or disappeared at the bottom shows up in the diff.
+ */
+function padImage(image, width, height) {
+  if (image.width === width && image.height === height) {
+    return image.data;
+  }
+  const data = Buffer.alloc(width * height * 4);
+  for (let y = 0; y < image.height; y++) {
+    image.data.copy(data, y * width * 4, y * image.width * 4, (y + 1) * image.width * 4);
+  }
+  return data;
+}
+
+/**
+ * Pixel-diff two PNG buffers
+ * Returns the mismatch and a PNG buffer highlighting the differences.
+ */
+function diffImages(currentBuffer, previousBuffer, { pixelThreshold = DEFAULT_PIXEL_THRESHOLD } = {}) {
+  const current = PNG.sync.read(currentBuffer);
+  const previous = PNG.sync.read(previousBuffer);
+  const width = Math.max(current.width, previous.width);
+  const height = Math.max(current.height, previous.height);
+
+  const diff = new PNG({ width, height });
+  const mismatchPixels = pixelmatch(
+    padImage(current, width, height),
+    padImage(previous, width, height),
+    diff.data,
+    width,
+    height,
+    { threshold: pixelThreshold }
+  );
+
+  return {
+    width,
+    height,
+    sizeChanged: current.width !== previous.width || current.height !== previous.height,
+    mismatchPixels,
+    mismatchPercent: Math.round((mismatchPixels / (width * height)) * 10000) / 100,
+    diff: PNG.sync.write(diff)
+  };
+}
+
+/**
+ * Last known screenshot per key (instance/collector or account/step)
+ * Each check compares a new screenshot with the stored one, writes a diff
+ * image next to the screenshot, and then makes the new screenshot the baseline.
+ */
+class VisualBaseline {
+  constructor(options = {}) {
+    this.dir = options.dir || DEFAULT_BASELINE_DIR;
+    this.thresholdPercent = options.thresholdPercent !== undefined ? options.thresholdPercent : DEFAULT_THRESHOLD_PERCENT;
+    this.pixelThreshold = options.pixelThreshold !== undefined ? options.pixelThreshold : DEFAULT_PIXEL_THRESHOLD;
+  }
+
+  fileFor(key) {
+    return path.join(this.dir, `${key.replace(/[^\w.-]/g, '_')}.png`);
+  }
+
+  async check(key, screenshotPath) {
+    const baselineFile = this.fileFor(key);
+    const current = await fs.readFile(screenshotPath);
+
+    let previous = null;
+    try {
+      previous = await fs.readFile(baselineFile);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+    }
+
+    const result = {
+      key,
+      screenshot: screenshotPath,
+      status: 'new',
+      mismatchPercent: null,
+      thresholdPercent: this.thresholdPercent,
+      flagged: false,
+      diff: null
+    };
+
+    if (previous) {
+      const comparison = diffImages(current, previous, { pixelThreshold: this.pixelThreshold });
+      const diffPath = screenshotPath.replace(/\.png$/i, '') + '-diff.png';
+      await fs.writeFile(diffPath, comparison.diff);
+
+      Object.assign(result, {
+        status: 'compared',
+        mismatchPercent: comparison.mismatchPercent,
+        mismatchPixels: comparison.mismatchPixels,
+        sizeChanged: comparison.sizeChanged,
+        flagged: comparison.mismatchPercent > this.thresholdPercent,
+        diff: diffPath
+      });
+    }
+
+    await fs.mkdir(this.dir, { recursive: true });
+    await fs.writeFile(baselineFile, current);
+    return result;
+  }
+}
+
+/**
+ * Build baseline options from a `visualDiff` config block
+ * VISUAL_BASELINE_DIR and VISUAL_DIFF_THRESHOLD override the config.
+ */
+function resolveVisualDiffOptions(visualConfig = {}) {
+  const envThreshold = process.env.VISUAL_DIFF_THRESHOLD !== undefined ? Number(process.env.VISUAL_DIFF_THRESHOLD) : undefined;
+  return {
+    enabled: visualConfig.enabled !== false && process.env.VISUAL_DIFF !== 'false',
+    dir: process.env.VISUAL_BASELINE_DIR || visualConfig.dir || DEFAULT_BASELINE_DIR,
+    thresholdPercent: Number.isFinite(envThreshold) ? envThreshold : visualConfig.thresholdPercent,
+    pixelThreshold: visualConfig.pixelThreshold
+  };
+}
+
+module.exports = {
+  VisualBaseline,
+  diffImages,
+  resolveVisualDiffOptions
+};
@@ -0,0 +1,84 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseCondition, resolveRules, validateRules, buildRuleContext, evaluateRules } = require('../src/alert-rules');
+const { toHistoryMetrics } = require('../src/history-store');
+const { parseFixture } = require('./helpers');
+
+const RULES = [
+  { name: 'low-memory', condition: 'memory.freePercent < 15%', severity: 'critical' },
+  { name: 'semaphore-queue', condition: 'semaphores.*.queued > 5', severity: 'warning' },
+  { name: 'uptime-reset', condition: 'uptime.reset == true', severity: 'info' },
+  { name: 'slow-stats-page', condition: 'page.loadMs > 20s', severity: 'warning' },
+  { name: 'old-build', condition: 'build.name == "Xanadu"', severity: 'info' }
+];
+
+function statuses(outcomes) {
+  return Object.fromEntries(outcomes.map(outcome => [outcome.rule, outcome.status]));
+}
+
+test('parses conditions with units and quoted values', () => {
+  assert.deepEqual(parseCondition('memory.freePercent < 15%'), { metric: 'memory.freePercent', operator: '<', value: 15 });
+  assert.deepEqual(parseCondition('page.loadMs >= 2.5s'), { metric: 'page.loadMs', operator: '>=', value: 2500 });
+  assert.deepEqual(parseCondition('timings.*.ttfbMs > 800ms'), { metric: 'timings.*.ttfbMs', operator: '>', value: 800 });
+  assert.deepEqual(parseCondition("build.name != 'Xanadu'"), { metric: 'build.name', operator: '!=', value: 'Xanadu' });
+  assert.deepEqual(parseCondition('uptime.reset == true'), { metric: 'uptime.reset', operator: '==', value: true });
+  assert.throws(() => parseCondition('memory.freePercent'), /Invalid condition/);
+});
+
+test('accepts time units only for millisecond metrics', () => {
+  assert.throws(() => parseCondition('uptime.seconds > 20s'), /only applies to millisecond metrics/);
+  assert.throws(() => parseCondition('semaphores.*.queued > 5ms'), /only applies to millisecond metrics/);
+  assert.deepEqual(validateRules([{ name: 'short-uptime', condition: 'uptime.seconds < 600s' }]), [
+    'rules[0] (short-uptime): Unit "s" only applies to millisecond metrics (ending in Ms), not uptime.seconds'
+  ]);
+  assert.deepEqual(validateRules(RULES), []);
+});
+
+test('evaluates rules against a saved page', () => {
+  const { document } = parseFixture('stats.html');
+  const outcomes = evaluateRules(RULES, buildRuleContext(document, { pageLoadMs: 25000 }));
+
+  assert.deepEqual(statuses(outcomes), {
+    'low-memory': 'ok',
+    'semaphore-queue': 'triggered',
+    'uptime-reset': 'no-data',
+    'slow-stats-page': 'triggered',
+    'old-build': 'triggered'
+  });
+  const queue = outcomes.find(outcome => outcome.rule === 'semaphore-queue');
+  assert.deepEqual(queue.matches, [{ path: 'semaphores.Default.queued', value: 7 }]);
+  assert.equal(queue.message, 'semaphores.Default.queued = 7 (> 5)');
+});
+
+test('compares with the previous page for uptime.reset', () => {
+  const previous = toHistoryMetrics(parseFixture('stats.html').document);
+  const { document } = parseFixture('stats-upgraded.html');
+  const outcomes = evaluateRules(RULES, buildRuleContext(document, { previousMetrics: previous, pageLoadMs: 900 }));
+
+  assert.deepEqual(statuses(outcomes), {
+    'low-memory': 'triggered',
+    'semaphore-queue': 'triggered',
+    'uptime-reset': 'triggered',
+    'slow-stats-page': 'ok',
+    'old-build': 'ok'
+  });
+});
+
+test('reports missing sections as no-data', () => {
+  const { document } = parseFixture('stats-partial.html');
+  const outcome = evaluateRules([RULES[1]], buildRuleContext(document))[0];
+
+  assert.equal(outcome.status, 'no-data');
+  assert.equal(outcome.message, 'No value for semaphores.*.queued');
+});
+
+test('merges instance rules over global rules', () => {
+  const rules = resolveRules(RULES, [
+    { name: 'low-memory', condition: 'memory.freePercent < 60%' },
+    { name: 'old-build', enabled: false }
+  ]);
+
+  assert.deepEqual(rules.map(rule => rule.name), ['low-memory', 'semaphore-queue', 'uptime-reset', 'slow-stats-page']);
+  assert.equal(rules[0].severity, 'critical');
+  assert.equal(rules[0].condition, 'memory.freePercent < 60%');
+});
@@ -0,0 +1,31 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { detectChanges, uptimeWentBackwards } = require('../src/change-detector');
+const { toHistoryMetrics } = require('../src/history-store');
+const { parseFixture } = require('./helpers');
+
+const before = toHistoryMetrics(parseFixture('stats.html').document);
+const after = toHistoryMetrics(parseFixture('stats-upgraded.html').document);
+
+test('detects an upgrade and a restart between two saved pages', () => {
+  const events = detectChanges(before, after);
+
+  assert.deepEqual(events.map(event => event.type), ['build-family-changed', 'build-tag-changed', 'node-changed', 'restart']);
+  assert.equal(events[0].message, 'Build family changed from Xanadu to Yokohama');
+  assert.equal(events[2].before, '8c0e1f2a3b4c5d6e7f:dev12345001');
+  assert.equal(events[3].message, 'Uptime went backwards from 4 Days 2 Hours 44 Minutes 33 Seconds to 0 Days 1 Hours 12 Minutes 5 Seconds');
+  assert.equal(uptimeWentBackwards(before, after), true);
+});
+
+test('reports nothing for the same page or without a previous run', () => {
+  assert.deepEqual(detectChanges(before, before), []);
+  assert.deepEqual(detectChanges(null, after), []);
+  assert.equal(uptimeWentBackwards(after, before), false);
+});
+
+test('ignores fields missing from either page', () => {
+  const partial = toHistoryMetrics(parseFixture('stats-partial.html').document);
+
+  assert.deepEqual(detectChanges(partial, after).map(event => event.type), ['build-family-changed', 'build-tag-changed', 'node-changed', 'restart']);
+  assert.deepEqual(detectChanges({ build: { name: null } }, after), []);
+});
@@ -0,0 +1,21 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { installLogPrefix, runWithLogPrefix } = require('../src/concurrency');
+
+test('prefixes output inside runWithLogPrefix and restores console afterwards', async () => {
+  const originalLog = console.log;
+  const lines = [];
+  console.log = line => lines.push(line);
+  try {
+    const capture = console.log;
+    const restore = installLogPrefix();
+    await runWithLogPrefix('dev1', async () => console.log('first\nsecond'));
+    console.log('outside');
+    restore();
+
+    assert.equal(console.log, capture);
+    assert.deepEqual(lines, ['[dev1] first', '[dev1] second', 'outside']);
+  } finally {
+    console.log = originalLog;
+  }
+});
@@ -0,0 +1,16 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { STATS_SCHEMA, DEVELOPER_SCHEMA, validateSchema } = require('../src/config-schema');
+
+const instance = { url: 'https://dev12345.service-now.com', username: 'monitor', password: 'secret' };
+const account = { email: 'developer@example.com', password: 'secret' };
+
+test('accepts a history block in both configurations', () => {
+  assert.deepEqual(validateSchema({ instances: [instance], history: { retentionDays: 30, maxRunsPerInstance: 0 } }, STATS_SCHEMA), []);
+  assert.deepEqual(validateSchema({ accounts: [account], history: { dir: 'keepalive', retentionDays: 0, maxRunsPerAccount: 500 } }, DEVELOPER_SCHEMA), []);
+});
+
+test('checks history.retentionDays as a number of days', () => {
+  assert.deepEqual(validateSchema({ instances: [instance], history: { retentionDays: '90d' } }, STATS_SCHEMA), ['history.retentionDays must be a number']);
+  assert.deepEqual(validateSchema({ accounts: [account], history: { retentionDays: -1 } }, DEVELOPER_SCHEMA), ['history.retentionDays must be at least 0']);
+});
@@ -0,0 +1,40 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { classifyFailure, failure, RETRYABLE_CODES } = require('../src/failure-classifier');
+
+function codeOf(message) {
+  return classifyFailure(new Error(message)).code;
+}
+
+test('classifies a missing browser as a browser error', () => {
+  assert.equal(codeOf('Could not find Chrome (ver. 131.0.6778.204). This can occur if either 1. you did not perform an installation before running the script'), 'BROWSER_ERROR');
+  assert.equal(codeOf('Could not find Chromium (rev. 1234)'), 'BROWSER_ERROR');
+  assert.equal(codeOf('Browser was not found at the configured executablePath (/usr/bin/chromium)'), 'BROWSER_ERROR');
+  assert.equal(codeOf('Failed to launch the browser process!'), 'BROWSER_ERROR');
+  assert.ok(RETRYABLE_CODES.includes('BROWSER_ERROR'));
+});
+
+test('classifies missing elements as SELECTOR_NOT_FOUND', () => {
+  assert.equal(codeOf('Could not find email input field'), 'SELECTOR_NOT_FOUND');
+  assert.equal(codeOf('Could not find element #user_name'), 'SELECTOR_NOT_FOUND');
+  assert.equal(codeOf('Waiting for selector `#user_password` failed: Waiting failed: 30000ms exceeded'), 'SELECTOR_NOT_FOUND');
+  assert.equal(codeOf('No element found for selector: #sysverb_login'), 'SELECTOR_NOT_FOUND');
+});
+
+test('classifies network, HTTP and browser errors', () => {
+  assert.equal(codeOf('net::ERR_NAME_NOT_RESOLVED at https://[INSTANCE_URL]'), 'DNS_FAILURE');
+  assert.equal(codeOf('Navigation timeout of 60000 ms exceeded'), 'NAV_TIMEOUT');
+  assert.equal(codeOf('net::ERR_CONNECTION_REFUSED'), 'CONNECTION_FAILED');
+  assert.equal(codeOf('Stats page returned HTTP 503'), 'SERVER_ERROR');
+  assert.equal(codeOf('Protocol error (Runtime.callFunctionOn): Target closed'), 'BROWSER_ERROR');
+  assert.equal(codeOf('Instance timed out after 300s'), 'RUN_TIMEOUT');
+  assert.equal(codeOf('something else'), 'UNKNOWN');
+});
+
+test('keeps an explicit code and the step', () => {
+  const error = failure('MFA_REJECTED');
+  error.step = 'mfa';
+
+  assert.deepEqual(classifyFailure(error), { code: 'MFA_REJECTED', step: 'mfa' });
+  assert.deepEqual(classifyFailure(new Error('Could not find Chrome (ver. 131)'), { step: 'init' }), { code: 'BROWSER_ERROR', step: 'init' });
+});
@@ -0,0 +1,127 @@
+const fs = require('fs');
+const http = require('http');
+const net = require('net');
+const path = require('path');
+const { parseStatsHtml } = require('../src/stats-parser');
+
+/**
+ * Read a saved page from test/fixtures
+ */
+function readFixture(name) {
+  return fs.readFileSync(path.join(__dirname, 'fixtures', name), 'utf8');
+}
+
+/**
+ * Parse a saved stats.do page from test/fixtures
+ */
+function parseFixture(name) {
+  return parseStatsHtml(readFixture(name));
+}
+
+function listen(server) {
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server.address().port)));
+}
+
+/**
+ * Local HTTP server standing in for webhook, Slack and Teams endpoints
+ * Every request body is recorded in `requests`; `status` sets the response code.
+ */
+async function startHttpStandIn({ status = 200 } = {}) {
+  const stand = { requests: [], status };
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      stand.requests.push({ url: req.url, headers: req.headers, body: body ? JSON.parse(body) : null });
+      res.writeHead(stand.status);
+      res.end();
+    });
+  });
+  stand.url = `http://127.0.0.1:${await listen(server)}`;
+  stand.close = () => new Promise(resolve => server.close(resolve));
+  return stand;
+}
+
+/**
+ * Local HTTP server standing in for a ServiceNow instance in REST mode
+ * Serves `statsPage` (a fixture name) as stats.do and answers Table API reads with no rows.
+ */
+async function startServiceNowStandIn({ statsPage = 'stats.html' } = {}) {
+  const stand = { statsPage };
+  const server = http.createServer((req, res) => {
+    if (req.url.startsWith('/api/now/table/')) {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ result: [] }));
+    } else if (req.url === '/stats.do') {
+      res.writeHead(200, { 'Content-Type': 'text/html' });
+      res.end(readFixture(stand.statsPage));
+    } else {
+      res.writeHead(404);
+      res.end();
+    }
+  });
+  stand.url = `http://127.0.0.1:${await listen(server)}`;
+  stand.close = () => new Promise(resolve => server.close(resolve));
+  return stand;
+}
+
+/**
+ * Minimal SMTP server standing in for a mail relay
+ * Accepts every message without TLS or authentication and records it in `messages`.
+ */
+async function startSmtpStandIn() {
+  const stand = { messages: [] };
+  const server = net.createServer(socket => {
+    let buffer = '';
+    let data = null;
+    let envelope = { from: null, to: [] };
+    socket.write('220 localhost ESMTP stand-in\r\n');
+    socket.on('data', chunk => {
+      buffer += chunk;
+      let end;
+      while ((end = buffer.indexOf('\r\n')) !== -1) {
+        const line = buffer.slice(0, end);
+        buffer = buffer.slice(end + 2);
+        if (data !== null) {
+          if (line === '.') {
+            stand.messages.push({ ...envelope, data: data.join('\n') });
+            data = null;
+            envelope = { from: null, to: [] };
+            socket.write('250 Queued\r\n');
+          } else {
+            data.push(line.startsWith('..') ? line.slice(1) : line);
+          }
+          continue;
+        }
+        const command = line.slice(0, 4).toUpperCase();
+        if (command === 'EHLO' || command === 'HELO') {
+          socket.write('250 localhost\r\n');
+        } else if (command === 'MAIL') {
+          envelope.from = line.slice(10).replace(/[<>]/g, '').trim();
+          socket.write('250 OK\r\n');
+        } else if (command === 'RCPT') {
+          envelope.to.push(line.slice(8).replace(/[<>]/g, '').trim());
+          socket.write('250 OK\r\n');
+        } else if (command === 'DATA') {
+          data = [];
+          socket.write('354 End data with <CR><LF>.<CR><LF>\r\n');
+        } else if (command === 'QUIT') {
+          socket.end('221 Bye\r\n');
+        } else {
+          socket.write('250 OK\r\n');
+        }
+      }
+    });
+  });
+  stand.port = await listen(server);
+  stand.close = () => new Promise(resolve => server.close(resolve));
+  return stand;
+}
+
+module.exports = {
+  readFixture,
+  parseFixture,
+  startHttpStandIn,
+  startServiceNowStandIn,
+  startSmtpStandIn
+};
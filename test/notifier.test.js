@@ -0,0 +1,163 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { buildStatsEvents, resolveNotificationOptions, sendNotifications } = require('../src/notifier');
+const { startHttpStandIn, startSmtpStandIn } = require('./helpers');
+
+const HOUR = 60 * 60 * 1000;
+const START = Date.parse('2025-01-20T06:00:00.000Z');
+
+const failing = {
+  failures: [{ instance: 'dev-1', status: 'failed', code: 'NAV_TIMEOUT', step: 'loginPage', error: 'Navigation timeout of 60000 ms exceeded' }],
+  alerts: [{ instance: 'dev-2', rule: 'semaphore-queue', severity: 'warning', message: 'semaphores.Default.queued = 7 (> 5)' }]
+};
+const recovered = { failures: [], alerts: [] };
+
+function run(summary) {
+  return {
+    source: 'stats',
+    events: buildStatsEvents(summary),
+    names: ['dev-1', 'dev-2'],
+    total: 2,
+    successful: 2 - (summary.failures || []).length,
+    failed: (summary.failures || []).length,
+    exitCode: (summary.failures || []).length > 0 ? 1 : 0
+  };
+}
+
+const stateDirs = [];
+
+function options(channels) {
+  const stateDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sn-pdi-notify-'));
+  stateDirs.push(stateDir);
+  return resolveNotificationOptions({ repeatMinutes: 60, channels }, { source: 'stats', stateDir });
+}
+
+function titles(request) {
+  return request.body.events.map(event => `${event.kind}:${event.name}`);
+}
+
+// The test runner does not print the notifier's progress lines
+test.beforeEach(() => {
+  test.mock.method(console, 'log', () => {});
+  test.mock.method(console, 'error', () => {});
+});
+test.afterEach(() => test.mock.restoreAll());
+test.after(() => stateDirs.forEach(dir => fs.rmSync(dir, { recursive: true, force: true })));
+
+test('posts webhook, Slack and Teams messages to a local endpoint', async () => {
+  const http = await startHttpStandIn();
+  try {
+    const settings = options([
+      { type: 'webhook', url: `${http.url}/hook`, headers: { Authorization: 'Bearer test' }, minSeverity: 'info' },
+      { type: 'slack', url: `${http.url}/slack`, minSeverity: 'critical' },
+      { type: 'teams', url: `${http.url}/teams` }
+    ]);
+    const result = await sendNotifications(settings, run(failing), { now: START });
+
+    assert.deepEqual(result, { sent: 3, suppressed: 0, failedChannels: 0 });
+    const [webhook, slack, teams] = http.requests;
+    assert.equal(webhook.headers.authorization, 'Bearer test');
+    assert.deepEqual(titles(webhook), ['failure:dev-1', 'alert:dev-2']);
+    assert.equal(webhook.body.run.exitCode, 1);
+    assert.match(slack.body.text, /^\*PDI stats monitor: 1 notification\(s\)\*\n\[critical\] dev-1 failed \[NAV_TIMEOUT at loginPage\]/);
+    assert.equal(teams.body.themeColor, 'D92D20');
+  } finally {
+    await http.close();
+  }
+});
+
+test('holds back repeats and sends resolved messages to the channels that got the event', async () => {
+  const http = await startHttpStandIn();
+  try {
+    const settings = options([
+      { type: 'webhook', name: 'all', url: `${http.url}/all`, minSeverity: 'info' },
+      { type: 'webhook', name: 'pager', url: `${http.url}/pager`, minSeverity: 'critical' }
+    ]);
+    await sendNotifications(settings, run(failing), { now: START });
+    const repeat = await sendNotifications(settings, run(failing), { now: START + HOUR / 2 });
+
+    assert.deepEqual(repeat, { sent: 0, suppressed: 3, failedChannels: 0 });
+
+    // The alert cleared but the failure continues; only the channel that received the alert hears about it
+    await sendNotifications(settings, run({ failures: failing.failures }), { now: START + HOUR / 2 + 1 });
+    const resolvedAlert = http.requests.slice(2);
+    assert.deepEqual(resolvedAlert.map(request => request.url), ['/all']);
+    assert.deepEqual(titles(resolvedAlert[0]), ['resolved:dev-2']);
+
+    await sendNotifications(settings, run(recovered), { now: START + HOUR / 2 + 2 });
+    const resolvedFailure = http.requests.slice(3);
+    assert.deepEqual(resolvedFailure.map(request => request.url), ['/all', '/pager']);
+    resolvedFailure.forEach(request => assert.deepEqual(titles(request), ['resolved:dev-1']));
+  } finally {
+    await http.close();
+  }
+});
+
+test('sends events again to a channel that could not be reached', async () => {
+  const up = await startHttpStandIn();
+  const down = await startHttpStandIn({ status: 500 });
+  try {
+    const settings = options([
+      { type: 'webhook', name: 'up', url: up.url },
+      { type: 'webhook', name: 'down', url: down.url }
+    ]);
+    const first = await sendNotifications(settings, run(failing), { now: START });
+    assert.deepEqual(first, { sent: 1, suppressed: 0, failedChannels: 1 });
+
+    down.status = 200;
+    const second = await sendNotifications(settings, run(failing), { now: START + 60 * 1000 });
+    assert.deepEqual(second, { sent: 1, suppressed: 2, failedChannels: 0 });
+    assert.equal(up.requests.length, 1);
+    assert.equal(down.requests.length, 2);
+    assert.deepEqual(titles(down.requests[1]), ['failure:dev-1', 'alert:dev-2']);
+
+    const state = JSON.parse(fs.readFileSync(settings.stateFile, 'utf8'));
+    assert.deepEqual(Object.keys(state.channels).sort(), ['name:down', 'name:up']);
+  } finally {
+    await up.close();
+    await down.close();
+  }
+});
+
+test('sends email through a local SMTP server', async () => {
+  const smtp = await startSmtpStandIn();
+  try {
+    const settings = options([{
+      type: 'email',
+      smtp: { host: '127.0.0.1', port: smtp.port },
+      from: 'pdi-monitor@example.com',
+      to: ['ops@example.com', 'oncall@example.com'],
+      minSeverity: 'critical'
+    }]);
+    const result = await sendNotifications(settings, run(failing), { now: START });
+
+    assert.deepEqual(result, { sent: 1, suppressed: 0, failedChannels: 0 });
+    assert.equal(smtp.messages.length, 1);
+    const [message] = smtp.messages;
+    assert.equal(message.from, 'pdi-monitor@example.com');
+    assert.deepEqual(message.to, ['ops@example.com', 'oncall@example.com']);
+    assert.match(message.data, /^Subject: PDI stats monitor: 1 notification\(s\)$/m);
+    assert.match(message.data, /\[critical\] dev-1 failed \[NAV_TIMEOUT at loginPage\]/);
+  } finally {
+    await smtp.close();
+  }
+});
+
+test('migrates the shared state of the first version to every channel', async () => {
+  const http = await startHttpStandIn();
+  try {
+    const settings = options([{ type: 'webhook', name: 'all', url: http.url, minSeverity: 'info' }]);
+    const sent = { firstSeen: new Date(START).toISOString(), lastSent: new Date(START).toISOString(), severity: 'critical', name: 'dev-1', title: 'dev-1 failed', ongoing: true };
+    fs.writeFileSync(settings.stateFile, JSON.stringify({ version: 1, events: { 'stats:dev-1:failure': sent } }));
+
+    const result = await sendNotifications(settings, run(failing), { now: START + 60 * 1000 });
+
+    assert.deepEqual(result, { sent: 1, suppressed: 1, failedChannels: 0 });
+    assert.deepEqual(titles(http.requests[0]), ['alert:dev-2']);
+  } finally {
+    await http.close();
+  }
+});
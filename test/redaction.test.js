@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { resolveRedactionOptions, createRedactor, redactValue } = require('../src/redaction');
+const { detectChanges, toChangeEvents } = require('../src/change-detector');
+const { toHistoryMetrics } = require('../src/history-store');
+const { buildStatsMetrics } = require('../src/metrics-exporter');
+const { renderRunReport } = require('../src/report-run');
+const { parseFixture, readFixture } = require('./helpers');
+
+const INSTANCE = { instanceUrl: 'https://dev12345.service-now.com', username: 'monitor' };
+
+function redactor(config = {}) {
+  return createRedactor(resolveRedactionOptions(config), INSTANCE);
+}
+
+test('redacts a saved stats.do page', () => {
+  const page = redactor()(readFixture('stats.html'));
+
+  assert.match(page, /Instance name: \[INSTANCE\]<br\/>/);
+  assert.match(page, /Node id: \[NODE_ID\]<br\/>/);
+  assert.match(page, /IP address: \[IP\]<br\/>/);
+  assert.doesNotMatch(page, /dev12345|8c0e1f2a3b4c5d6e7f|10\.1\.2\.3/);
+});
+
+test('matches the instance name as a word or with a node number only', () => {
+  const redact = createRedactor(resolveRedactionOptions(), { instanceUrl: 'https://dev.service-now.com' });
+
+  assert.equal(redact('dev dev001 developer devices'), '[INSTANCE] [INSTANCE]001 developer devices');
+});
+
+test('keeps hex ids that are not node ids', () => {
+  const redact = redactor();
+
+  assert.equal(redact('sys_id=0123456789abcdef0123456789abcdef'), 'sys_id=0123456789abcdef0123456789abcdef');
+  assert.equal(redact('<td>System ID</td><td>0123456789abcdef0123456789abcdef</td>'), '<td>System ID</td><td>[NODE_ID]</td>');
+});
+
+test('redacts change events before they reach the summary and report', () => {
+  const changes = detectChanges(
+    toHistoryMetrics(parseFixture('stats.html').document),
+    toHistoryMetrics(parseFixture('stats-upgraded.html').document)
+  );
+  const changeEvents = toChangeEvents(changes, { instance: 'dev-1', previousTimestamp: '2025-01-20T00:00:00.000Z', redact: redactor() });
+  const node = changeEvents.find(event => event.type === 'node-changed');
+
+  assert.equal(node.before, '[NODE_ID]');
+  assert.equal(node.after, '[NODE_ID]');
+  assert.equal(node.message, 'Node id changed from [NODE_ID] to [NODE_ID]');
+  assert.equal(changeEvents.find(event => event.type === 'restart').before, 355473);
+
+  const summary = { timestamp: '2025-01-20T06:45:00.000Z', total: 1, successful: 1, failed: 0, instances: [], changeEvents };
+  const report = renderRunReport(summary);
+  assert.match(report, /node-changed \| `\[NODE_ID\]` \| `\[NODE_ID\]`/);
+  assert.doesNotMatch(report, /8c0e1f2a3b4c5d6e7f|4f5e6d7c8b9a0b1c2d|dev12345/);
+});
+
+test('leaves change events as they are with redaction off', () => {
+  const changes = [{ type: 'node-changed', field: 'node.id', before: 'a:dev12345001', after: 'b:dev12345002', message: 'changed' }];
+  const [event] = toChangeEvents(changes, { instance: 'dev-1', redact: redactor({ enabled: false }) });
+
+  assert.equal(event.before, 'a:dev12345001');
+  assert.deepEqual(redactValue({ id: 'x' }, redactor({ enabled: false })), { id: 'x' });
+});
+
+test('exports node ids only for instances without node id redaction', () => {
+  const metrics = toHistoryMetrics(parseFixture('stats.html').document);
+  const records = ['dev-1', 'dev-2'].map(key => ({ key, timestamp: '2025-01-20T06:45:00.000Z', status: 'success', metrics }));
+  const config = { instances: [{ name: 'dev-1' }, { name: 'dev-2', redaction: { nodeIds: false } }] };
+  const text = buildStatsMetrics(records, undefined, { config }).render();
+
+  assert.doesNotMatch(text, /servicenow_node_info\{instance_name="dev-1"/);
+  assert.match(text, /servicenow_node_info\{instance_name="dev-2",node_id="8c0e1f2a3b4c5d6e7f:dev12345001"\} 1/);
+});
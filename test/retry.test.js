@@ -0,0 +1,43 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { resolveRetryOptions, backoffDelay, runWithRetries } = require('../src/retry');
+
+const options = { ...resolveRetryOptions({ attempts: 3, baseDelayMs: 0, jitter: 0 }), retryOn: ['NAV_TIMEOUT'] };
+const failureOf = outcome => outcome.failure;
+
+test('retries retryable failures until an attempt succeeds', async () => {
+  const outcomes = [{ failure: { code: 'NAV_TIMEOUT', step: 'login', error: 'slow' } }, { failure: null }];
+  const result = await runWithRetries(number => outcomes[number - 1], options, { failureOf });
+
+  assert.equal(result.attempts, 2);
+  assert.deepEqual(result.failedAttempts, [{ attempt: 1, code: 'NAV_TIMEOUT', step: 'login', error: 'slow' }]);
+  assert.equal(result.outcome, outcomes[1]);
+});
+
+test('never retries codes outside retryOn', async () => {
+  let calls = 0;
+  const result = await runWithRetries(() => {
+    calls++;
+    return { failure: { code: 'AUTH_INVALID_CREDENTIALS', step: 'login', error: 'rejected' } };
+  }, options, { failureOf });
+
+  assert.equal(calls, 1);
+  assert.equal(result.attempts, 1);
+  assert.equal(result.failedAttempts.length, 1);
+});
+
+test('stops after the configured attempts', async () => {
+  const result = await runWithRetries(() => ({ failure: { code: 'NAV_TIMEOUT' } }), options, { failureOf });
+
+  assert.equal(result.attempts, 3);
+  assert.deepEqual(result.failedAttempts.map(attempt => attempt.attempt), [1, 2, 3]);
+});
+
+test('backs off exponentially up to the cap, shortened by jitter', () => {
+  const policy = resolveRetryOptions({ baseDelayMs: 1000, factor: 2, maxDelayMs: 5000, jitter: 0.5 });
+
+  assert.equal(backoffDelay(1, policy, () => 0), 1000);
+  assert.equal(backoffDelay(3, policy, () => 0), 4000);
+  assert.equal(backoffDelay(5, policy, () => 0), 5000);
+  assert.equal(backoffDelay(3, policy, () => 1), 2000);
+});
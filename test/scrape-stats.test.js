@@ -0,0 +1,89 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { runStats } = require('../src/scrape-stats');
+const { startServiceNowStandIn } = require('./helpers');
+
+const NODE_IDS = ['8c0e1f2a3b4c5d6e7f:dev12345001', '4f5e6d7c8b9a0b1c2d:dev12345002'];
+
+const workDirs = [];
+let logged = [];
+
+function workDir() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sn-pdi-stats-'));
+  workDirs.push(dir);
+  return dir;
+}
+
+function writeConfig(dir, url, history) {
+  const file = path.join(dir, 'config.json');
+  fs.writeFileSync(file, JSON.stringify({
+    instances: [{ name: 'dev', url, username: 'admin', password: 'secret', mode: 'rest' }],
+    history: { dir: path.join(dir, 'history'), ...history },
+    retry: { attempts: 1 }
+  }));
+  return file;
+}
+
+function readSummary(dir) {
+  return JSON.parse(fs.readFileSync(path.join(dir, 'out', 'stats-summary.json'), 'utf8'));
+}
+
+// Keep the collector's progress lines, so the tests can check what reached the job log
+test.beforeEach(() => {
+  logged = [];
+  test.mock.method(console, 'log', (...args) => logged.push(args.join(' ')));
+  test.mock.method(console, 'error', (...args) => logged.push(args.join(' ')));
+});
+test.afterEach(() => test.mock.restoreAll());
+test.after(() => workDirs.forEach(dir => fs.rmSync(dir, { recursive: true, force: true })));
+
+test('collects stats over REST with history disabled', async () => {
+  const instance = await startServiceNowStandIn();
+  try {
+    const dir = workDir();
+    const configFile = writeConfig(dir, instance.url, { enabled: false });
+    const exitCode = await runStats({ configFile, outputDir: path.join(dir, 'out') });
+
+    assert.equal(exitCode, 0);
+    const summary = readSummary(dir);
+    assert.equal(summary.successful, 1);
+    assert.deepEqual(summary.changeEvents, []);
+    assert.equal(fs.existsSync(path.join(dir, 'history')), false);
+
+    const saved = fs.readdirSync(path.join(dir, 'out')).filter(file => file.endsWith('.html'));
+    assert.deepEqual(saved, [path.basename(summary.instances[0].html)]);
+  } finally {
+    await instance.close();
+  }
+});
+
+test('records a first run and reports redacted changes on the next', async () => {
+  const instance = await startServiceNowStandIn();
+  try {
+    const dir = workDir();
+    const configFile = writeConfig(dir, instance.url);
+
+    assert.equal(await runStats({ configFile, outputDir: path.join(dir, 'out') }), 0);
+    assert.equal(readSummary(dir).successful, 1);
+
+    instance.statsPage = 'stats-upgraded.html';
+    assert.equal(await runStats({ configFile, outputDir: path.join(dir, 'out') }), 0);
+
+    const summary = readSummary(dir);
+    assert.equal(summary.successful, 1);
+    assert.ok(summary.changeEvents.some(event => event.type === 'node-changed'));
+    assert.ok(logged.some(line => line.startsWith('[CHANGE] dev:')));
+
+    const report = fs.readFileSync(path.join(dir, 'out', 'report.md'), 'utf8');
+    for (const nodeId of NODE_IDS) {
+      assert.ok(!JSON.stringify(summary.changeEvents).includes(nodeId));
+      assert.ok(!report.includes(nodeId));
+      assert.ok(!logged.some(line => line.startsWith('[CHANGE]') && line.includes(nodeId)));
+    }
+  } finally {
+    await instance.close();
+  }
+});
@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseNumber, parseDuration, decodeEntities } = require('../src/stats-parser');
+const { parseFixture } = require('./helpers');
+
+test('parses the typed sections of a saved stats.do page', () => {
+  const { document, errors } = parseFixture('stats.html');
+
+  assert.deepEqual(errors, []);
+  assert.deepEqual(document.build, {
+    name: 'Xanadu',
+    tag: 'glide-xanadu-07-02-2024__patch0-hotfix1-07-18-2024',
+    date: '07-19-2024_1636'
+  });
+  assert.deepEqual(document.node, { id: '8c0e1f2a3b4c5d6e7f:dev12345001', name: 'dev12345' });
+  assert.equal(document.uptime.seconds, 4 * 86400 + 2 * 3600 + 44 * 60 + 33);
+  assert.deepEqual(document.memory, { maxMb: 2048, allocatedMb: 1950, inUseMb: 1024.6, freeMb: 1023.4, freePercent: 49.8 });
+  assert.deepEqual(document.semaphores.map(set => [set.name, set.available, set.inUse, set.queued]), [
+    ['Default', 16, 2, 7],
+    ['AMB', 4, 0, 0]
+  ]);
+  assert.equal(document.scheduler.workerCount, 8);
+  assert.equal(document.scheduler.queueLength, 3);
+  assert.deepEqual(document.scheduler.workers, [{ Name: 'worker.0', State: 'Running', Processed: '120' }]);
+  assert.deepEqual(document.transactions.counters, { Transactions: 12345, 'Errors handled': 5 });
+  assert.equal(document.cluster, null);
+});
+
+test('keeps unknown sections in the raw section list', () => {
+  const { document } = parseFixture('stats.html');
+  const titles = document.sections.map(section => section.title);
+
+  assert.deepEqual(titles, ['General', 'Database Connections']);
+  assert.deepEqual(document.sections[1].values, { 'Pool size': '32', 'In use': '4' });
+});
+
+test('records missing sections as errors and still parses the rest', () => {
+  const { document, errors } = parseFixture('stats-partial.html');
+
+  assert.deepEqual(errors.map(error => error.section), ['semaphores', 'scheduler', 'transactions', 'caches']);
+  assert.equal(document.semaphores, null);
+  assert.equal(document.build.name, 'Xanadu');
+  // Free memory is derived from max and in-use when the page does not list it
+  assert.equal(document.memory.freeMb, 1536);
+  assert.equal(document.memory.freePercent, 75);
+  assert.deepEqual(document.sections.find(section => section.title === 'Custom Section').values, { Widgets: '3' });
+});
+
+test('parses numbers, durations and entities', () => {
+  assert.equal(parseNumber('1,024.5 MB'), 1024.5);
+  assert.equal(parseNumber('62%'), 62);
+  assert.equal(parseNumber('n/a'), null);
+  assert.equal(parseDuration('1 Day 3 Minutes'), 86400 + 180);
+  assert.equal(parseDuration('12:05:09'), 12 * 3600 + 5 * 60 + 9);
+  assert.equal(parseDuration('soon'), null);
+  assert.equal(decodeEntities('a&nbsp;&amp;&#x3C;b&#62;'), 'a &<b>');
+});